@@ -5,15 +5,23 @@
   This disk adapter is for development only!
 ---------------------------------------------------------------*/
 
+var _ = require('lodash');
 var Database = require('./database');
+var Client = require('./client');
+var Server = require('./server');
+var Inspector = require('./inspector');
 var Errors = require('waterline-errors').adapter;
-var _runJoins = require('waterline-cursor');
 
 module.exports = (function () {
 
   // Hold connections for this adapter
   var connections = {};
 
+  // The HTTP inspector serving every connection, once a connection asks
+  // for it: `{ server, users, waiting }`, `users` naming the connections
+  // which asked for it, and `waiting` holding callbacks until it listens
+  var inspector = null;
+
   var adapter = {
 
     identity: 'sails-memory',
@@ -38,8 +46,28 @@ module.exports = (function () {
       if(!connection.identity) return cb(Errors.IdentityMissing);
       if(connections[connection.identity]) return cb(Errors.IdentityDuplicate);
 
+      // A connection failing to register can be registered again
+      function registered(err) {
+        if (err) {
+          closeConnection(connection.identity);
+          delete connections[connection.identity];
+        }
+        cb.apply(null, arguments);
+      }
+
+      // Use the connection hosted by another process
+      if(connection.remote) {
+        connections[connection.identity] = new Client(connection.remote);
+        return connections[connection.identity].registerConnection(connection, collections, registered);
+      }
+
       connections[connection.identity] = new Database(connection, collections);
-      connections[connection.identity].initialize(cb);
+      connections[connection.identity].initialize(function (err) {
+        if (err || !connection.inspector) return registered(err);
+
+        // Serve the HTTP inspector, `inspector: true` meaning the default port
+        useInspector(connection.identity, connection.inspector === true ? {} : connection.inspector, registered);
+      });
     },
 
     teardown: function (conn, cb) {
@@ -49,88 +77,479 @@ module.exports = (function () {
         conn = null;
       }
       if (conn == null) {
+        Object.keys(connections).forEach(closeConnection);
         connections = {};
         return cb();
       }
       if(!connections[conn]) return cb();
+      closeConnection(conn);
       delete connections[conn];
       cb();
     },
 
     // Return attributes
     describe: function (conn, coll, cb) {
-      grabConnection(conn).describe(coll, cb);
+      withFaults(conn, 'describe', coll, cb, function (cb) {
+        grabConnection(conn).describe(coll, cb);
+      });
     },
 
     define: function (conn, coll, definition, cb) {
-      grabConnection(conn).createCollection(coll, definition, cb);
+      withFaults(conn, 'define', coll, cb, function (cb) {
+        grabConnection(conn).createCollection(coll, definition, cb);
+      });
     },
 
     drop: function (conn, coll, relations, cb) {
-      grabConnection(conn).dropCollection(coll, relations, cb);
-    },
-
-    join: function (conn, coll, criteria, _cb) {
-
-      // Ensure nextTick
-      var cb = AFTERDELAY(_cb);
-
-      var db = grabConnection(conn);
-
-      var parentIdentity = coll;
-
-      // Populate associated records for each parent result
-      // (or do them all at once as an optimization, if possible)
-      _runJoins({
-
-        instructions: criteria,
-        parentCollection: parentIdentity,
-
-        /**
-         * Find some records directly (using only this adapter)
-         * from the specified collection.
-         *
-         * @param  {String}   collectionIdentity
-         * @param  {Object}   criteria
-         * @param  {Function} cb
-         */
-        $find: function (collectionIdentity, criteria, cb) {
-          return db.select(collectionIdentity, criteria, cb);
-        },
-
-        /**
-         * Look up the name of the primary key field
-         * for the collection with the specified identity.
-         *
-         * @param  {String}   collectionIdentity
-         * @return {String}
-         */
-        $getPK: function (collectionIdentity) {
-          if (!collectionIdentity) return;
-          return db.getPKField(collectionIdentity);
-        }
-      }, cb);
+      withFaults(conn, 'drop', coll, cb, function (cb) {
+        grabConnection(conn).dropCollection(coll, relations, cb);
+      });
+    },
 
+    join: function (conn, coll, criteria, cb) {
+      runQuery(conn, 'join', coll, criteria, cb, function (cb) {
+        grabConnection(conn).join(coll, criteria, cb);
+      });
     },
 
     find: function (conn, coll, options, cb) {
-      grabConnection(conn).select(coll, options, cb);
+      runQuery(conn, 'find', coll, options, cb, function (cb) {
+        grabConnection(conn).select(coll, options, cb);
+      });
     },
 
     create: function (conn, coll, values, cb) {
-      grabConnection(conn).insert(coll, values, cb);
+      runQuery(conn, 'create', coll, values, cb, function (cb) {
+        grabConnection(conn).insert(coll, values, cb);
+      });
     },
 
     update: function (conn, coll, options, values, cb) {
-      grabConnection(conn).update(coll, options, values, cb);
+      runQuery(conn, 'update', coll, options, cb, function (cb) {
+        grabConnection(conn).update(coll, options, values, cb);
+      });
     },
 
     destroy: function (conn, coll, options, cb) {
-      grabConnection(conn).destroy(coll, options, cb);
+      runQuery(conn, 'destroy', coll, options, cb, function (cb) {
+        grabConnection(conn).destroy(coll, options, cb);
+      });
+    },
+
+    /**
+     * Update the records matching `options`, or create one (from the
+     * values `options` looks for and `values`) if none match, in one step.
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Object}   options
+     * @param {Object}   values
+     * @param {Function} cb - called with the records, and whether one was created
+     */
+    upsert: function (conn, coll, options, values, cb) {
+      runQuery(conn, 'upsert', coll, options, cb, function (cb) {
+        grabConnection(conn).upsert(coll, options, values, cb);
+      });
+    },
+
+    /**
+     * Find the first record matching `options`, or create one from
+     * `values` (or the values `options` looks for) if none match, in one
+     * step. Called with values alone (as Waterline does), the record is
+     * looked up by those values.
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Object}   options
+     * @param {Object}   values
+     * @param {Function} cb - called with the record, and whether it was created
+     */
+    findOrCreate: function (conn, coll, options, values, cb) {
+      if (typeof values == 'function') {
+        cb = values;
+        values = options;
+        options = null;
+      }
+      runQuery(conn, 'findOrCreate', coll, options, cb, function (cb) {
+        grabConnection(conn).findOrCreate(coll, options, values, cb);
+      });
+    },
+
+    /**
+     * Create several records, all of them or none (Waterline's `create`
+     * with an array of values comes here).
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Array}    valuesList
+     * @param {Function} cb - called with the records
+     */
+    createEach: function (conn, coll, valuesList, cb) {
+      runQuery(conn, 'createEach', coll, valuesList, cb, function (cb) {
+        grabConnection(conn).bulkWrite(coll, [{ method: 'insert', values: valuesList }], function (err, results) {
+          if (err) return cb(err);
+          cb(null, results[0]);
+        });
+      });
+    },
+
+    /**
+     * Update records with values of their own, all of them or none.
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Array}    updates - `{ criteria, values }` for each update
+     * @param {Function} cb - called with the records updated by each update
+     */
+    updateEach: function (conn, coll, updates, cb) {
+      runQuery(conn, 'updateEach', coll, _.pluck(updates, 'criteria'), cb, function (cb) {
+        grabConnection(conn).bulkWrite(coll, updates.map(function (update) {
+          return { method: 'update', criteria: update.criteria, values: update.values };
+        }), cb);
+      });
+    },
+
+    /**
+     * Apply a batch of inserts (`{ method: 'insert', values }`) and
+     * updates (`{ method: 'update', criteria, values }`), all of them or
+     * none.
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Array}    operations
+     * @param {Function} cb - called with the results of each operation
+     */
+    bulkWrite: function (conn, coll, operations, cb) {
+      runQuery(conn, 'bulkWrite', coll, operations, cb, function (cb) {
+        grabConnection(conn).bulkWrite(coll, operations, cb);
+      });
+    },
+
+    /**
+     * Begin a transaction on a connection. The transaction sent back has
+     * its own `find`, `create`, `update` and `destroy` methods (without
+     * the connection argument); their writes are only visible through
+     * the transaction until it is committed.
+     *
+     * @param {String}   conn
+     * @param {Function} cb
+     */
+    begin: function (conn, cb) {
+      grabConnection(conn).beginTransaction(cb);
+    },
+
+    /**
+     * Apply every write made through a transaction, or none of them.
+     *
+     * @param {String}        conn
+     * @param {Object|Number} transaction - a transaction or its id
+     * @param {Function}      cb
+     */
+    commit: function (conn, transaction, cb) {
+      grabConnection(conn).commitTransaction(transaction, cb);
+    },
+
+    /**
+     * Throw away every write made through a transaction.
+     *
+     * @param {String}        conn
+     * @param {Object|Number} transaction - a transaction or its id
+     * @param {Function}      cb
+     */
+    rollback: function (conn, transaction, cb) {
+      grabConnection(conn).rollbackTransaction(transaction, cb);
+    },
+
+    /**
+     * Save a copy of a connection's records, counters and schema
+     * under `name`.
+     *
+     * @param {String}   conn
+     * @param {String}   name
+     * @param {Function} cb
+     */
+    snapshot: function (conn, name, cb) {
+      grabConnection(conn).createSnapshot(name, cb);
+    },
+
+    /**
+     * Put a connection back in the state saved by `snapshot`.
+     *
+     * @param {String}   conn
+     * @param {String}   name
+     * @param {Function} cb
+     */
+    restore: function (conn, name, cb) {
+      grabConnection(conn).restoreSnapshot(name, cb);
+    },
+
+    /**
+     * Write the records, schema and counters of a connection's
+     * collections to files (`{ path, format, collections }`).
+     *
+     * @param {String}   conn
+     * @param {Object}   options
+     * @param {Function} cb - called with the number of records written
+     *     for each collection
+     */
+    exportCollections: function (conn, options, cb) {
+      grabConnection(conn).exportCollections(options, cb);
+    },
+
+    /**
+     * Read back records written by `exportCollections` (or CSV, JSON or
+     * NDJSON files from elsewhere), all of them or none
+     * (`{ path, format, collections, replace }`).
+     *
+     * @param {String}   conn
+     * @param {Object}   options
+     * @param {Function} cb - called with the number of records imported
+     *     for each collection
+     */
+    importCollections: function (conn, options, cb) {
+      grabConnection(conn).importCollections(options, cb);
+    },
+
+    /**
+     * Call `listener` with a change event after every write to a
+     * collection, or to every collection of the connection if `coll`
+     * is omitted.
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Function} listener
+     */
+    subscribe: function (conn, coll, listener) {
+      if (typeof coll == 'function') {
+        listener = coll;
+        coll = null;
+      }
+      grabConnection(conn).subscribe(coll, listener);
+    },
+
+    /**
+     * Stop calling a listener given to `subscribe`.
+     *
+     * @param {String}   conn
+     * @param {String}   coll
+     * @param {Function} listener
+     */
+    unsubscribe: function (conn, coll, listener) {
+      if (typeof coll == 'function') {
+        listener = coll;
+        coll = null;
+      }
+      grabConnection(conn).unsubscribe(coll, listener);
+    },
+
+    /**
+     * Replace the clock deciding which records have expired, i.e. to move
+     * time forward in tests. Pass null to go back to the system clock.
+     *
+     * @param {String}   conn
+     * @param {Function} clock - returns the current time (a Date or milliseconds)
+     */
+    setClock: function (conn, clock) {
+      grabConnection(conn).setClock(clock);
+    },
+
+    /**
+     * Tell the format (`integer` or `string`) of the primary keys of a
+     * collection, going by its key generator. `pkFormat` above is the
+     * format of the primary keys Waterline adds to models.
+     *
+     * @param {String} conn
+     * @param {String} coll
+     * @return {String}
+     */
+    getPkFormat: function (conn, coll) {
+      return grabConnection(conn).getPkFormat(coll);
+    },
+
+    /**
+     * Replace the latency, error rates and scripted failures injected in
+     * the methods of a connection (see `faults` in the README). Pass null
+     * to stop injecting faults.
+     *
+     * @param {String} conn
+     * @param {Object} options
+     */
+    setFaults: function (conn, options) {
+      grabConnection(conn).setFaults(options);
+    },
+
+    /**
+     * Get the log of the queries (`find`, `create`, `update`, `destroy`
+     * and `join` calls) run against a connection, oldest first.
+     *
+     * @param {String} conn
+     * @return {Array}
+     */
+    getQueryLog: function (conn) {
+      return grabConnection(conn).getQueryLog();
+    },
+
+    /**
+     * Get the number of queries, errors, records scanned and matched and
+     * durations of the queries in the log, by method and collection.
+     *
+     * @param {String} conn
+     * @return {Object}
+     */
+    getQueryStats: function (conn) {
+      return grabConnection(conn).getQueryStats();
+    },
+
+    /**
+     * Empty the query log of a connection.
+     *
+     * @param {String} conn
+     */
+    resetQueryLog: function (conn) {
+      grabConnection(conn).resetQueryLog();
+    },
+
+    /**
+     * Call `listener` with the log entry of every query taking
+     * `threshold` milliseconds or more. Pass a null listener to stop.
+     *
+     * @param {String}   conn
+     * @param {Number}   threshold
+     * @param {Function} listener
+     */
+    onSlowQuery: function (conn, threshold, listener) {
+      grabConnection(conn).onSlowQuery(threshold, listener);
+    },
+
+    /**
+     * Get the record counts, estimated memory, counters, index sizes and
+     * operation counts of each collection of a connection, or of every
+     * connection (by name) if `conn` is omitted.
+     *
+     * @param {String} conn
+     * @return {Object}
+     */
+    stats: function (conn) {
+      if (conn) return grabConnection(conn).stats();
+
+      // Connections hosted by another process have no stats of their own
+      return _.mapValues(_.pick(connections, function (connection) {
+        return connection instanceof Database;
+      }), function (connection) {
+        return connection.stats();
+      });
+    },
+
+    /**
+     * Share the connections of this process with other processes, on a
+     * Unix domain socket (`path`) or a TCP port (`port`, and `host`,
+     * localhost by default). Other processes use them by setting `remote`
+     * to the same options in their connection config.
+     *
+     * @param {Object}   options
+     * @param {Function} cb - called with the server, which has a `close` method
+     */
+    serve: function (options, cb) {
+      new Server(adapter, grabConnection).listen(options, cb);
     }
 
   };
 
+  // Run the methods called on a connection hosted by another process there
+  Server.METHODS.forEach(function (method) {
+    if (method === 'registerConnection') return;
+
+    var local = adapter[method];
+    adapter[method] = function (conn) {
+      var connection = grabConnection(conn);
+      if (connection instanceof Client) return connection.call(method, arguments);
+      return local.apply(this, arguments);
+    };
+  });
+
+  // Methods run against the datastore of this process, which a connection
+  // hosted by another process doesn't have: they fail, through their
+  // callback if they take one
+  var CALLBACK_METHODS = ['begin', 'commit', 'rollback', 'snapshot', 'restore', 'exportCollections', 'importCollections'];
+  var SYNC_METHODS = ['subscribe', 'unsubscribe', 'setClock', 'getPkFormat', 'setFaults',
+    'getQueryLog', 'getQueryStats', 'resetQueryLog', 'onSlowQuery', 'stats'];
+
+  CALLBACK_METHODS.concat(SYNC_METHODS).forEach(function (method) {
+    var local = adapter[method];
+    adapter[method] = function (conn) {
+      if (!(grabConnection(conn) instanceof Client)) return local.apply(this, arguments);
+
+      var error = new Error('`' + method + '` is not supported on connection `' + conn + '`, hosted by another process');
+      if (!_.includes(CALLBACK_METHODS, method)) throw error;
+
+      var cb = _.last(arguments);
+      setTimeout(function () {
+        cb(error);
+      }, 0);
+    };
+  });
+
+  /**
+   * Stop the timers, sockets and inspector of a connection
+   *
+   * @param {String} connectionName
+   * @api private
+   */
+
+  function closeConnection(connectionName) {
+    connections[connectionName].close();
+
+    // Stop the inspector once no connection uses it
+    if (inspector && _.includes(inspector.users, connectionName)) {
+      inspector.users = _.without(inspector.users, connectionName);
+      if (!inspector.users.length) {
+        inspector.server.close();
+        inspector = null;
+      }
+    }
+  }
+
+  /**
+   * Serve the HTTP inspector for a connection, starting it with `options`
+   * unless another connection already did
+   *
+   * @param {String}   connectionName
+   * @param {Object}   options - `port` and `host`
+   * @param {Function} cb
+   * @api private
+   */
+
+  function useInspector(connectionName, options, cb) {
+    if (!inspector) {
+      var starting = inspector = {
+        server: new Inspector(grabConnection, function () {
+          return Object.keys(connections);
+        }),
+        users: [],
+        waiting: []
+      };
+
+      starting.server.listen(options, function (err) {
+        if (err && inspector === starting) inspector = null;
+
+        var waiting = starting.waiting;
+        starting.waiting = null;
+        waiting.forEach(function (done) {
+          done(err);
+        });
+      });
+    }
+
+    var current = inspector;
+    function done(err) {
+      if (!err) current.users.push(connectionName);
+      cb(err);
+    }
+
+    if (current.waiting) return current.waiting.push(done);
+    setTimeout(done, 0);
+  }
+
   /**
    * Grab the connection object for a connection name
    *
@@ -144,19 +563,63 @@ module.exports = (function () {
   }
 
   /**
-   * Return a function that stalls for one milisecond before
-   * calling `cb` with the expected arguments and context.
+   * Run an adapter method through the faults injected in a connection:
+   * fail it without running it, or call back once its latency is over.
+   *
+   * @param {String}   connectionName
+   * @param {String}   method
+   * @param {String}   collectionName
    * @param {Function} cb
-   * @return {Function}
+   * @param {Function} run - runs the method, given the callback to call
+   * @api private
    */
-  function AFTERDELAY(cb) {
-    return function ( /* ... */ ) {
-      var origCtx = this;
-      var origArgs = Array.prototype.slice.call(arguments);
+
+  function withFaults(connectionName, method, collectionName, cb, run) {
+    var fault = grabConnection(connectionName).faults.decide(method, collectionName);
+
+    if (fault.error) {
+      return setTimeout(function () {
+        cb(fault.error);
+      }, fault.delay);
+    }
+
+    if (!fault.delay) return run(cb);
+
+    run(function ( /* ... */ ) {
+      var args = arguments;
       setTimeout(function () {
-        cb.apply(origCtx, origArgs);
-      }, 1);
-    };
+        cb.apply(null, args);
+      }, fault.delay);
+    });
+  }
+
+  /**
+   * Run a query (`find`, `create`, `update`, `destroy`, `join`, `upsert`,
+   * `findOrCreate`, `createEach`, `updateEach` or `bulkWrite`) through the
+   * faults injected in a connection, and log it (injected latency and
+   * failures included).
+   *
+   * @param {String}   connectionName
+   * @param {String}   method
+   * @param {String}   collectionName
+   * @param {Object}   criteria
+   * @param {Function} cb
+   * @param {Function} run - runs the query, given the callback to call
+   * @api private
+   */
+
+  function runQuery(connectionName, method, collectionName, criteria, cb, run) {
+    var profiler = grabConnection(connectionName).profiler;
+    var entry = profiler.start(method, collectionName, criteria);
+
+    withFaults(connectionName, method, collectionName, function (err) {
+      profiler.finish(entry, err);
+      cb.apply(null, arguments);
+    }, function (cb) {
+      profiler.track(entry, function () {
+        run(cb);
+      });
+    });
   }
 
   return adapter;
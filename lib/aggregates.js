@@ -1,7 +1,32 @@
 
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var where = require('waterline-criteria').where;
+
+// Calculations that can be run on (groups of) results
+var CALCULATIONS = ['sum', 'average', 'min', 'max', 'count', 'distinct', 'median', 'percentile', 'stddev'];
+
 /**
  * Process Aggregates
  *
+ * Besides `sum`, `average`, `min` and `max`, supports:
+ *
+ *   - `count`: `true` to count the records of each group (as `count`), or
+ *     an array of attributes to count their non-null values
+ *   - `distinct`: an array of attributes to count their distinct values
+ *   - `median`: an array of attributes
+ *   - `percentile`: an object mapping attributes to a percentile (0-100)
+ *   - `stddev`: an array of attributes (sample standard deviation)
+ *   - `having`: a `where`-style filter run against the computed groups
+ *
+ * `sum`, `average`, `min` and `max` are set under the attribute name, as
+ * Waterline expects. The others are set under the attribute name followed
+ * by the calculation (`totalMedian`, `couponDistinct`...), so several
+ * calculations can be run on the same attribute.
+ *
  * @param {Object} options
  * @param {Array} results
  * @return {Object}
@@ -10,13 +35,17 @@
 
 var Aggregate = module.exports = function(options, results) {
 
+  var hasCalculation = _.some(CALCULATIONS, function(calculation) {
+    return options[calculation];
+  });
+
   // Check if there is a grouping
-  if(!options.groupBy && !options.sum && !options.average && !options.min && !options.max) {
+  if(!options.groupBy && !hasCalculation && !options.having) {
     return { results: results };
   }
 
-  if(!options.sum && !options.average && !options.min && !options.max) {
-    return { error: new Error('Cannot groupBy without a calculation') };
+  if(!hasCalculation) {
+    return { error: new Error('Cannot ' + (options.groupBy ? 'groupBy' : 'use having') + ' without a calculation') };
   }
 
   this.groupedResults = [];
@@ -34,6 +63,14 @@ var Aggregate = module.exports = function(options, results) {
   if(options.average) this.average(options.average);
   if(options.min) this.min(options.min);
   if(options.max) this.max(options.max);
+  if(options.count) this.count(options.count);
+  if(options.distinct) this.distinct(options.distinct);
+  if(options.median) this.median(options.median);
+  if(options.percentile) this.percentile(options.percentile);
+  if(options.stddev) this.stddev(options.stddev);
+
+  // Filter groups on their computed values
+  if(options.having) this.finishedResults = where(this.finishedResults, options.having);
 
   return { results: this.finishedResults };
 };
@@ -209,3 +246,173 @@ Aggregate.prototype.max = function(max) {
     });
   });
 };
+
+/**
+ * Count Results
+ *
+ * @param {Boolean|Array} count
+ * @api private
+ */
+
+Aggregate.prototype.count = function(count) {
+  var self = this;
+
+  this.groupedResults.forEach(function(group, i) {
+
+    // count the records themselves
+    if(count === true) {
+      self.finishedResults[i].count = group.length;
+      return;
+    }
+
+    // count the values which are set
+    count.forEach(function(countKey) {
+      self.finishedResults[i][resultKey(countKey, 'count')] = _.filter(group, function(item) {
+        return !_.isUndefined(item[countKey]) && item[countKey] !== null;
+      }).length;
+    });
+  });
+};
+
+/**
+ * Count Distinct Results
+ *
+ * @param {Array} distinct
+ * @api private
+ */
+
+Aggregate.prototype.distinct = function(distinct) {
+  var self = this;
+
+  this.groupedResults.forEach(function(group, i) {
+    distinct.forEach(function(distinctKey) {
+
+      // keep track of the values seen so far, by type and value
+      var seen = {};
+
+      group.forEach(function(item) {
+        var value = item[distinctKey];
+        if(_.isUndefined(value) || value === null) return;
+        seen[typeof value + ':' + JSON.stringify(value)] = true;
+      });
+
+      self.finishedResults[i][resultKey(distinctKey, 'distinct')] = Object.keys(seen).length;
+    });
+  });
+};
+
+/**
+ * Median Results
+ *
+ * @param {Array} median
+ * @api private
+ */
+
+Aggregate.prototype.median = function(median) {
+  var self = this;
+
+  this.groupedResults.forEach(function(group, i) {
+    median.forEach(function(medianKey) {
+      self.finishedResults[i][resultKey(medianKey, 'median')] = percentileOf(numbersOf(group, medianKey), 50);
+    });
+  });
+};
+
+/**
+ * Percentile Results
+ *
+ * @param {Object} percentile - maps attribute names to a percentile (0-100)
+ * @api private
+ */
+
+Aggregate.prototype.percentile = function(percentile) {
+  var self = this;
+
+  this.groupedResults.forEach(function(group, i) {
+    _.each(percentile, function(p, percentileKey) {
+      self.finishedResults[i][resultKey(percentileKey, 'percentile')] = percentileOf(numbersOf(group, percentileKey), p);
+    });
+  });
+};
+
+/**
+ * Standard Deviation Results
+ *
+ * @param {Array} stddev
+ * @api private
+ */
+
+Aggregate.prototype.stddev = function(stddev) {
+  var self = this;
+
+  this.groupedResults.forEach(function(group, i) {
+    stddev.forEach(function(stddevKey) {
+      var numbers = numbersOf(group, stddevKey);
+      var key = resultKey(stddevKey, 'stddev');
+
+      // a sample of less than two values has no deviation
+      if(numbers.length < 2) {
+        self.finishedResults[i][key] = null;
+        return;
+      }
+
+      var mean = _.sum(numbers) / numbers.length;
+      var squares = _.sum(numbers, function(number) {
+        return Math.pow(number - mean, 2);
+      });
+
+      self.finishedResults[i][key] = Math.sqrt(squares / (numbers.length - 1));
+    });
+  });
+};
+
+/**
+ * Name the result of a calculation on an attribute
+ * (i.e. `totalMedian` for the `median` of `total`)
+ *
+ * @param {String} attrName
+ * @param {String} calculation
+ * @return {String}
+ * @api private
+ */
+
+function resultKey(attrName, calculation) {
+  return attrName + calculation.charAt(0).toUpperCase() + calculation.slice(1);
+}
+
+/**
+ * Grab the numeric values of an attribute, sorted
+ *
+ * @param {Array} group
+ * @param {String} key
+ * @return {Array}
+ * @api private
+ */
+
+function numbersOf(group, key) {
+  return _.pluck(group, key).filter(function(value) {
+    return typeof value === 'number';
+  }).sort(function(a, b) {
+    return a - b;
+  });
+}
+
+/**
+ * Compute a percentile of sorted numbers, interpolating between
+ * the two closest ranks.
+ *
+ * @param {Array} numbers
+ * @param {Number} p - 0 to 100
+ * @return {Number}
+ * @api private
+ */
+
+function percentileOf(numbers, p) {
+  if(!numbers.length) return null;
+
+  var rank = (numbers.length - 1) * Math.min(Math.max(p, 0), 100) / 100;
+  var lower = Math.floor(rank);
+  var upper = Math.ceil(rank);
+
+  return numbers[lower] + (numbers[upper] - numbers[lower]) * (rank - lower);
+}
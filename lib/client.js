@@ -0,0 +1,171 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var net = require('net');
+var wire = require('./wire');
+
+/**
+ * Settings of a collection the Database reads, the ones sent to a Server
+ */
+
+var COLLECTION_SETTINGS = [
+  'identity', 'definition', 'attributes', 'meta', 'migrate', 'data',
+  'autoCreatedAt', 'autoUpdatedAt',
+  'ttl', 'ttlFrom', 'expiresAt', 'maxRecords', 'maxBytes', 'evict',
+  'keyGenerators', 'versionAttribute'
+];
+
+/**
+ * A Client of a Server hosting connections in another process
+ *
+ * Stands in for the Database of a connection configured with `remote`:
+ * `{ path }` for a Unix domain socket, `{ port, host }` for a TCP port.
+ * Adapter methods called on the connection are run by the server.
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+var Client = module.exports = function(options) {
+  this.options = options;
+  this.socket = null;
+
+  // Hold the callbacks of requests waiting for a response, by id
+  this.pending = {};
+  this.requestCounter = 0;
+
+  return this;
+};
+
+/**
+ * Register a Connection with the Server
+ *
+ * @param {Object} config
+ * @param {Object} collections
+ * @param {Function} cb
+ * @api public
+ */
+
+Client.prototype.registerConnection = function(config, collections, cb) {
+  var self = this;
+
+  this.connect(function(err) {
+    if (err) return cb(err);
+
+    // The server only needs to know which of its connections this is
+    self.call('registerConnection', [
+      { identity: config.identity },
+      _.mapValues(collections, function(collection) {
+        return _.pick(collection, COLLECTION_SETTINGS);
+      }),
+      cb
+    ]);
+  });
+};
+
+/**
+ * Connect to the Server
+ *
+ * @param {Function} cb
+ * @api private
+ */
+
+Client.prototype.connect = function(cb) {
+  var self = this;
+  var options = this.options.path ?
+    { path: this.options.path } :
+    { port: this.options.port, host: this.options.host || 'localhost' };
+
+  this.socket = net.connect(options);
+
+  this.socket.once('error', cb);
+  this.socket.once('connect', function() {
+    self.socket.removeListener('error', cb);
+    self.idle();
+    cb();
+  });
+
+  this.socket.on('error', function(err) {
+    self.fail(err);
+  });
+  this.socket.on('close', function() {
+    self.fail(new Error('Lost the connection to the sails-memory server'));
+  });
+
+  wire.parse(this.socket, function(response) {
+    var cb = self.pending[response.id];
+    if (!cb) return;
+
+    delete self.pending[response.id];
+    self.idle();
+    cb.apply(null, [response.error].concat(response.results));
+  });
+};
+
+/**
+ * Call an adapter method on the Server
+ *
+ * @param {String} method
+ * @param {Array} args - arguments of the method, down to its callback
+ * @api public
+ */
+
+Client.prototype.call = function(method, args) {
+  // Waterline may pass more arguments after the callback, which are left out
+  args = _.toArray(args);
+  var index = _.findIndex(args, _.isFunction);
+  var cb = index < 0 ? function() {} : args[index];
+  if (index >= 0) args = args.slice(0, index);
+
+  if (!this.socket || this.socket.destroyed) {
+    return setTimeout(function() {
+      cb(new Error('Not connected to the sails-memory server'));
+    }, 0);
+  }
+
+  var id = ++this.requestCounter;
+  this.pending[id] = cb;
+  this.socket.ref();
+  this.socket.write(wire.serialize({ id: id, method: method, args: args }));
+};
+
+/**
+ * Let the process exit while no request is waiting for a response
+ *
+ * @api private
+ */
+
+Client.prototype.idle = function() {
+  if (_.isEmpty(this.pending)) this.socket.unref();
+};
+
+/**
+ * Fail every request waiting for a response
+ *
+ * @param {Error} err
+ * @api private
+ */
+
+Client.prototype.fail = function(err) {
+  var pending = this.pending;
+  this.pending = {};
+
+  _.each(pending, function(cb) {
+    cb(err);
+  });
+};
+
+/**
+ * Close
+ *
+ * Disconnect from the Server, once the connection is torn down.
+ *
+ * @api public
+ */
+
+Client.prototype.close = function() {
+  if (this.socket) this.socket.destroy();
+};
@@ -0,0 +1,45 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+// Keys that make an object criteria rather than a `where` clause
+var CLAUSES = [
+  'where', 'limit', 'skip', 'sort', 'select', 'groupBy', 'having',
+  'sum', 'average', 'min', 'max', 'count', 'distinct', 'median', 'percentile', 'stddev'
+];
+
+/**
+ * Normalize Criteria
+ *
+ * Accepts a `where` clause on its own as criteria.
+ *
+ * @param {Object} criteria
+ * @return {Object}
+ * @api public
+ */
+
+exports.normalize = function(criteria) {
+  criteria = criteria || {};
+  if (_.some(CLAUSES, _.partial(_.has, criteria))) return criteria;
+
+  return { where: criteria };
+};
+
+/**
+ * Values From a Where Clause
+ *
+ * Picks the values a `where` clause looks for as they are
+ * (i.e. `{ email: 'x' }`, not `{ age: { '>': 21 } }`).
+ *
+ * @param {Object} where
+ * @return {Object}
+ * @api public
+ */
+
+exports.valuesFrom = function(where) {
+  return _.omit(where || {}, function(value, attrName) {
+    return attrName === 'or' || _.isObject(value) && !_.isDate(value);
+  });
+};
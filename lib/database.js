@@ -6,6 +6,20 @@ var _ = require('lodash');
 var async = require('async');
 var waterlineCriteria = require('waterline-criteria');
 var Aggregate = require('./aggregates');
+var Transaction = require('./transaction');
+var loadSeeds = require('./seed');
+var Journal = require('./journal');
+var transfer = require('./transfer');
+var Indexes = require('./indexes');
+var Faults = require('./faults');
+var Profiler = require('./profiler');
+var keys = require('./keys');
+var operators = require('./operators');
+var normalizeCriteria = require('./criteria').normalize;
+var valuesFrom = require('./criteria').valuesFrom;
+var enforceSchema = require('./validation');
+var castValue = require('./validation').castValue;
+var migrate = require('./migration');
 var Errors = require('waterline-errors').adapter;
 
 /**
@@ -36,6 +50,52 @@ var Database = module.exports = function(config, collections) {
   // Hold Schema Objects to describe the structure of an object
   this.schema = {};
 
+  // Hold Hash Indexes for each collection, built when first needed
+  this.indexes = {};
+
+  // Hold open Transactions, keyed by their id
+  this.transactions = {};
+  this.transactionCounter = 0;
+
+  // Hold named Snapshots of the whole datastore
+  this.snapshots = {};
+
+  // Keep the datastore on disk when a `filePath` is configured
+  this.journal = this.config.filePath ? new Journal(this.config.filePath) : null;
+
+  // Hold journal entries and change events while writes may still be undone
+  this.heldWrites = null;
+
+  // Hold listeners for the change feed
+  this.subscribers = [];
+
+  // Tell the time, overridable so tests can control record expiry
+  this.clock = this.config.clock || null;
+
+  // Hold the earliest expiry time known for each collection
+  this.expiries = {};
+
+  // Hold the timer sweeping expired records
+  this.sweeper = null;
+
+  // Hold the approximate size in bytes of capped collections, and when
+  // their records were last read
+  this.sizes = {};
+  this.reads = {};
+  this.readCounter = 0;
+
+  // Count the operations run against each collection
+  this.operations = {};
+
+  // Whether the memory budget was found exceeded, to warn only once
+  this.overBudget = false;
+
+  // Slow down or fail adapter methods, for resilience testing
+  this.faults = new Faults(this.config.faults);
+
+  // Record the queries run against the datastore
+  this.profiler = new Profiler(this.config.profile);
+
   return this;
 };
 
@@ -47,11 +107,90 @@ var Database = module.exports = function(config, collections) {
 Database.prototype.initialize = function(cb) {
   var self = this;
 
+  // Pick up where a durable datastore left off
+  var loaded = this.loadJournal();
+  if(loaded.error) return setTimeout(function() { cb(loaded.error); }, 0);
+
   async.eachSeries(Object.keys(self.collections), function(key, nextCollection) {
     var collection = self.collections[key];
     self.registerCollection(key, collection, nextCollection);
-  }, cb);
+  }, function(err) {
+    if(err) return cb(err);
+
+    // A stored datastore was already seeded when it was first created
+    if(loaded.results) return done();
+
+    self.seed(function(err) {
+      if(err) return cb(err);
+      done();
+    });
+  });
+
+  // Start from a fresh snapshot and an empty log
+  function done() {
+    try {
+      if(self.journal) self.journal.compact(self);
+    } catch(e) {
+      return cb(e);
+    }
+    self.startSweeper();
+    cb();
+  }
+
+};
+
+/**
+ * Seed Collections
+ *
+ * Inserts the records given in the `seed` option of the connection config
+ * and in the `data` of each collection, the same way `insert` would.
+ * If any of them can't be inserted, none of them are.
+ *
+ * @param {Function} callback
+ * @api private
+ */
 
+Database.prototype.seed = function(cb) {
+  var self = this;
+
+  var seeds = loadSeeds(this.config.seed);
+  if(seeds.error) return setTimeout(function() { cb(seeds.error); }, 0);
+
+  // Records set on a collection itself come before the ones from the config
+  var records = {};
+  _.each(this.collections, function(collection, collectionName) {
+    if(collection.data) records[collectionName] = _.cloneDeep(collection.data);
+  });
+  _.each(seeds.results, function(seedRecords, collectionName) {
+    records[collectionName] = (records[collectionName] || []).concat(seedRecords);
+  });
+
+  var backup = this.backup(Object.keys(records));
+  var error = null;
+
+  this.holdWrites();
+
+  _.find(records, function(collectionRecords, collectionName) {
+    if(!self.data[collectionName]) {
+      error = new Error('Cannot seed collection `' + collectionName + '`: ' + Errors.CollectionNotRegistered.message);
+      return true;
+    }
+
+    return _.find(collectionRecords, function(record, i) {
+      var outcome = self.insertRecords(collectionName, record);
+      if(!outcome.error) return false;
+
+      error = new SeedError(collectionName, i, outcome.error);
+      return true;
+    });
+  });
+
+  if(error) this.restore(backup);
+  this.releaseWrites(!error);
+
+  setTimeout(function() {
+    cb(error);
+  }, 0);
 };
 
 /**
@@ -67,6 +206,34 @@ Database.prototype.registerCollection = function(collectionName, collection, cb)
   this.setCollection(collectionName, collection, cb);
 };
 
+/**
+ * Add Collections
+ *
+ * Register the collections the datastore doesn't have yet, i.e. ones
+ * used by another process sharing it.
+ *
+ * @param {Object} collections
+ * @param {Function} callback
+ * @api public
+ */
+
+Database.prototype.addCollections = function(collections, cb) {
+  var self = this;
+
+  var added = _.omit(collections, function(collection, collectionName) {
+    return self.collections.hasOwnProperty(collectionName);
+  });
+
+  async.eachSeries(Object.keys(added), function(collectionName, nextCollection) {
+    self.collections[collectionName] = added[collectionName];
+    self.registerCollection(collectionName, added[collectionName], nextCollection);
+  }, function(err) {
+    if(err) return cb(err);
+    self.startSweeper();
+    cb();
+  });
+};
+
 /**
  * Set Collection
  *
@@ -78,17 +245,24 @@ Database.prototype.registerCollection = function(collectionName, collection, cb)
 
 Database.prototype.setCollection = function(collectionName, options, cb) {
 
+  if(options.definition) options.definition = _.cloneDeep(options.definition);
+
+  // Reshape the records of a collection that already has a schema
+  var previousSchema = this.schema[collectionName];
+  if(previousSchema && options.definition) {
+    var migration = this.migrateCollection(collectionName, previousSchema, options.definition);
+    if(migration.error) return setTimeout(function() { cb(migration.error); }, 0);
+  }
+
   // Set Defaults
   var data = this.data[collectionName] || [];
-  data.concat(options.data || []);
 
   // Ensure data is set
-  this.data[collectionName] = data || [];
+  this.data[collectionName] = data;
 
   // Set counters
   var counters = this.counters[collectionName] = this.counters[collectionName] || {};
 
-  if(options.definition) options.definition = _.cloneDeep(options.definition);
   var schema = this.schema[collectionName] = options.definition || {};
 
   var obj = {
@@ -140,12 +314,71 @@ Database.prototype.getCollection = function(collectionName, cb) {
 Database.prototype.createCollection = function(collectionName, definition, cb) {
   var self = this;
 
+  // Refuse unknown key generators now rather than generating no keys later
+  var generators = _.values((this.collections[collectionName] || {}).keyGenerators);
+  if (this.config.keyGenerator) generators.push(this.config.keyGenerator);
+
+  var invalid = _.find(_.map(generators, keys.normalize), 'error');
+  if (invalid) return cb(invalid.error);
+
   this.setCollection(collectionName, { definition: definition }, function(err, collection) {
     if(err) return cb(err);
+
+    self.writeJournal({ op: 'define', collection: collectionName, schema: collection.schema });
+    self.startSweeper();
+
     cb(null, collection.schema);
   });
 };
 
+/**
+ * Migrate a Collection
+ *
+ * Reshapes the records and counters of a collection for a new schema,
+ * using the `migrate` strategy of the collection, or else of the
+ * connection config, or else `alter`.
+ *
+ * @param {String} collectionName
+ * @param {Object} previousSchema
+ * @param {Object} schema
+ * @return {Object} - `{ results: true }` if anything changed, or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.migrateCollection = function(collectionName, previousSchema, schema) {
+  var self = this;
+  var collection = this.collections[collectionName] || {};
+  var strategy = collection.migrate || this.config.migrate || 'alter';
+
+  if(strategy !== 'drop' && _.isEqual(previousSchema, schema)) return { results: false };
+
+  // Keys are generated as the new schema has them generated
+  var generators = {};
+  _.each(schema, function(attrDef, attrName) {
+    var generator = self.getKeyGenerator(collectionName, attrName, schema);
+    if(generator) generators[attrName] = generator;
+  });
+
+  var migration = migrate(strategy, previousSchema, schema,
+    this.data[collectionName] || [], this.counters[collectionName] || {}, generators, this.now());
+
+  if(migration.error) {
+    return { error: new Error('Could not migrate collection `' + collectionName + '`: ' + migration.error.message) };
+  }
+
+  this.data[collectionName] = migration.results.records;
+  this.counters[collectionName] = migration.results.counters;
+
+  this.writeJournal({
+    op: 'set',
+    collection: collectionName,
+    records: migration.results.records,
+    counters: migration.results.counters
+  });
+
+  return { results: true };
+};
+
 /**
  * Describe a collection
  *
@@ -179,6 +412,9 @@ Database.prototype.dropCollection = function(collectionName, relations, cb) {
     relations = [];
   }
 
+  // Keep the dropped records for the change feed
+  var dropped = _.pick(this.data, [collectionName].concat(relations));
+
   delete this.data[collectionName];
   delete this.schema[collectionName];
 
@@ -187,6 +423,12 @@ Database.prototype.dropCollection = function(collectionName, relations, cb) {
     delete self.schema[relation];
   });
 
+  this.writeJournal({ op: 'drop', collection: collectionName, relations: relations });
+
+  [collectionName].concat(relations).forEach(function(name) {
+    self.emitChange({ type: 'drop', collection: name, before: dropped[name] || [], after: [] });
+  });
+
   setTimeout(function() {
     cb();
   }, 0);
@@ -206,18 +448,34 @@ Database.prototype.dropCollection = function(collectionName, relations, cb) {
  */
 
 Database.prototype.select = function(collectionName, options, cb) {
+  var outcome = this.selectRecords(collectionName, options);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+};
+
+/**
+ * Select Records
+ *
+ * Synchronous implementation of `select`.
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @return {Object} - `{ results: [...] }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.selectRecords = function(collectionName, options) {
 
   // Filter Data based on Options criteria
-  var collectionSchema = this.schema[collectionName] || {};
-  var resultSet = waterlineCriteria(collectionName, this.data, options, collectionSchema);
+  var resultSet = this.query(collectionName, options);
+  this.trackReads(collectionName, resultSet.results);
+  this.countOperation(collectionName, 'find');
 
   // Process Aggregate Options
-  var aggregate = new Aggregate(options, resultSet.results);
-
-  setTimeout(function() {
-    if(aggregate.error) return cb(aggregate.error);
-    cb(null, aggregate.results);
-  }, 0);
+  return new Aggregate(options, resultSet.results);
 };
 
 /**
@@ -231,20 +489,76 @@ Database.prototype.select = function(collectionName, options, cb) {
  */
 
 Database.prototype.insert = function(collectionName, values, cb) {
+  var outcome = this.insertRecords(collectionName, values);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+};
+
+/**
+ * Insert Records
+ *
+ * Synchronous implementation of `insert`, used wherever several writes
+ * need to be applied without yielding in between (i.e. transactions).
+ *
+ * @param {String} collectionName
+ * @param {Object|Array} values
+ * @return {Object} - `{ results: ... }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.insertRecords = function(collectionName, values) {
 
   var self = this;
 
   var originalValues = _.clone(values);
   if(!Array.isArray(values)) values = [values];
 
-  // To hold any uniqueness constraint violations we encounter:
+  if (!self.data[collectionName]) return { error: Errors.CollectionNotRegistered };
+
+  // Update operators change the records held, there are none to create from
+  var withOperators = _.some(values, function(record) {
+    return _.some(Object.keys(record || {}), function(key) {
+      return key.charAt(0) === '$';
+    });
+  });
+  if (withOperators) return { error: new Error('Update operators (`$inc`, `$push`...) cannot be used to create records') };
+
+  self.countOperation(collectionName, 'create');
+
+  var overBudget = self.checkBudget();
+  if (overBudget) return { error: overBudget };
+
+  // Expired records don't take part in uniqueness checks
+  self.sweepCollection(collectionName);
+
+  var indexes = self.getIndexes(collectionName);
+  var versionAttrName = self.getVersionAttribute(collectionName);
+
+  // To hold any schema or uniqueness constraint violations we encounter:
+  var validationErrors = [];
+  var foreignKeyViolations = [];
   var constraintViolations = [];
 
+  // To hold the records as they were stored
+  var stored = [];
+
   // Iterate over each record being inserted, deal w/ auto-incrementing
   // and checking the uniquness constraints.
   for (var i in values) {
     var record = values[i];
 
+    // Check and cast values against the schema in strict mode
+    // (stop at the first failure)
+    validationErrors = self.validate(collectionName, record, false);
+    if (validationErrors.length) break;
+
+    // Check Foreign Key Constraints
+    foreignKeyViolations = self.enforceForeignKeys(collectionName, record);
+    if (foreignKeyViolations.length) break;
+
     // Check Uniqueness Constraints
     // (stop at the first failure)
     constraintViolations = constraintViolations.concat(self.enforceUniqueness(collectionName, record));
@@ -254,18 +568,42 @@ Database.prototype.insert = function(collectionName, values, cb) {
     record = self.autoIncrement(collectionName, record);
     record = self.serializeValues(collectionName, record);
 
-    if (!self.data[collectionName]) return cb(Errors.CollectionNotRegistered);
-    self.data[collectionName].push(record);
+    // Start counting versions
+    if (versionAttrName && !record[versionAttrName]) record[versionAttrName] = 1;
+
+    // Store a copy, so stored records are never shared with the caller.
+    stored.push(_.cloneDeep(record));
+    self.data[collectionName].push(_.last(stored));
+    indexes.add(self.data[collectionName].length - 1, _.last(stored));
+    self.trackExpiry(collectionName, _.last(stored));
+    self.trackSize(collectionName, null, _.last(stored));
   }
 
-  // If uniqueness constraints were violated, send back a validation error.
+  if (stored.length) {
+    self.writeJournal({
+      op: 'insert',
+      collection: collectionName,
+      records: stored,
+      counters: self.counters[collectionName]
+    });
+    self.emitChange({ type: 'insert', collection: collectionName, before: [], after: stored });
+    self.trackReads(collectionName, stored);
+    self.enforceCap(collectionName);
+    self.checkBudget();
+  }
+
+  // If the schema or uniqueness constraints were violated, send back a validation error.
+  if (validationErrors.length) {
+    return { error: new ValidationError(validationErrors) };
+  }
+  if (foreignKeyViolations.length) {
+    return { error: new ValidationError(foreignKeyViolations, 'E_FOREIGN_KEY') };
+  }
   if (constraintViolations.length) {
-    return cb(new UniquenessError(constraintViolations));
+    return { error: new UniquenessError(constraintViolations) };
   }
 
-  setTimeout(function() {
-    cb(null, Array.isArray(originalValues) ? values : values[0]);
-  }, 0);
+  return { results: Array.isArray(originalValues) ? values : values[0] };
 };
 
 /**
@@ -279,37 +617,118 @@ Database.prototype.insert = function(collectionName, values, cb) {
  */
 
 Database.prototype.update = function(collectionName, options, values, cb) {
+  var outcome = this.updateRecords(collectionName, options, values);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+};
+
+/**
+ * Update Records
+ *
+ * Synchronous implementation of `update`.
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @param {Object} values
+ * @return {Object} - `{ results: ... }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.updateRecords = function(collectionName, options, values) {
   var self = this;
 
+  this.countOperation(collectionName, 'update');
+
+  var overBudget = this.checkBudget();
+  if (overBudget) return { error: overBudget };
+
   // Filter Data based on Options criteria
   var collectionSchema = this.schema[collectionName] || {};
-  var resultSet = waterlineCriteria(collectionName, this.data, options, collectionSchema);
-  var resultIds = _.pluck(resultSet.results, 'id');
+  var resultSet = this.query(collectionName, options);
+  var resultIds = _.pluck(resultSet.results, getPrimaryKey(collectionSchema));
+
+  // Update operators (`$inc`, `$push`...) are applied to each record on its own
+  var split = operators.split(values);
+  if (split.error) return { error: split.error };
+
+  // Check and cast values against the schema in strict mode
+  values = _.clone(split.values);
+  var validationErrors = self.validate(collectionName, values, true);
+  if (validationErrors.length) {
+    return { error: new ValidationError(validationErrors) };
+  }
+
+  var foreignKeyViolations = self.enforceForeignKeys(collectionName, values);
+  if (foreignKeyViolations.length) {
+    return { error: new ValidationError(foreignKeyViolations, 'E_FOREIGN_KEY') };
+  }
 
   // Enforce uniqueness constraints, indicating which records are updated
   // in case `values` doesn't contain an id.
   // If uniqueness constraints were violated, send back a validation error.
   var violations = self.enforceUniqueness(collectionName, values, resultIds);
   if (violations.length) {
-    return cb(new UniquenessError(violations));
+    return { error: new UniquenessError(violations) };
+  }
+
+  // A version given with the values is the version every record is
+  // expected to be at: if any was updated since, nothing is updated.
+  var versionAttrName = self.getVersionAttribute(collectionName);
+  if (versionAttrName && values.hasOwnProperty(versionAttrName)) {
+    var conflicts = self.checkVersions(collectionName, resultSet.results, values[versionAttrName]);
+    if (conflicts.length) {
+      return { error: new ValidationError(conflicts, 'E_CONFLICT') };
+    }
+    delete values[versionAttrName];
+  }
+
+  var updatedRecords = null;
+  if (split.operators) {
+    var applied = self.applyOperators(collectionName, resultSet.results, values, split.operators);
+    if (applied.error) return applied;
+    updatedRecords = applied.results;
   }
 
   // Otherwise, success!
   // Build up final set of results.
+  var indexes = self.getIndexes(collectionName);
   var results = [];
+  var previous = [];
+  var stored = [];
   for (var i in resultSet.indices) {
     var matchIndex = resultSet.indices[i];
     var _values = self.data[collectionName][matchIndex];
 
+    // Replace the stored record rather than changing it in place, so that
+    // copies of the collection (i.e. in a transaction) are not affected.
+    self.data[collectionName][matchIndex] = updatedRecords ?
+      updatedRecords[i] :
+      _.extend({}, _values, _.cloneDeep(values));
+    if (versionAttrName) self.data[collectionName][matchIndex][versionAttrName] = (+_values[versionAttrName] || 0) + 1;
+    indexes.replace(matchIndex, _values, self.data[collectionName][matchIndex]);
+    self.trackExpiry(collectionName, self.data[collectionName][matchIndex]);
+    self.trackSize(collectionName, _values, self.data[collectionName][matchIndex]);
+    previous.push(_values);
+    stored.push(self.data[collectionName][matchIndex]);
+
     // Clone the data to avoid providing raw access to the underlying
     // in-memory data, lest a user makes inadvertent changes in her app.
-    self.data[collectionName][matchIndex] = _.extend(_values, values);
     results.push(_.cloneDeep(self.data[collectionName][matchIndex]));
   }
 
-  setTimeout(function() {
-    cb(null, results);
-  }, 0);
+  if (stored.length) {
+    var pkAttrName = getPrimaryKey(collectionSchema);
+    self.writeJournal(pkAttrName ?
+      { op: 'update', collection: collectionName, key: pkAttrName, values: _.pluck(previous, pkAttrName), records: stored } :
+      { op: 'set', collection: collectionName, records: self.data[collectionName] });
+    self.emitChange({ type: 'update', collection: collectionName, before: previous, after: stored });
+    self.checkBudget();
+  }
+
+  return { results: results };
 };
 
 /**
@@ -322,124 +741,1938 @@ Database.prototype.update = function(collectionName, options, values, cb) {
  */
 
 Database.prototype.destroy = function(collectionName, options, cb) {
-  var self = this;
-
-  // Filter Data based on Options criteria
-  var collectionSchema = this.schema[collectionName] || {};
-  var resultSet = waterlineCriteria(collectionName, this.data, options, collectionSchema);
-
-  this.data[collectionName] = _.reject(this.data[collectionName], function (model, i) {
-    return _.includes(resultSet.indices, i);
-  });
+  var outcome = this.destroyRecords(collectionName, options);
 
   setTimeout(function() {
-    cb(null, resultSet.results);
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
   }, 0);
 };
 
-///////////////////////////////////////////////////////////////////////////////////////////
-/// CONSTRAINTS
-///////////////////////////////////////////////////////////////////////////////////////////
-
 /**
- * Auto-Increment values based on schema definition
+ * Destroy Records
+ *
+ * Synchronous implementation of `destroy`.
  *
  * @param {String} collectionName
- * @param {Object} values
- * @return {Object}
+ * @param {Object} options
+ * @return {Object} - `{ results: ... }` or `{ error: ... }`
  * @api private
  */
 
-Database.prototype.autoIncrement = function(collectionName, values) {
-
-  for (var attrName in this.schema[collectionName]) {
-    var attrDef = this.schema[collectionName][attrName];
+Database.prototype.destroyRecords = function(collectionName, options) {
+  if (!this.data[collectionName]) return { error: Errors.CollectionNotRegistered };
 
-    if(!attrDef.autoIncrement) continue;
+  this.countOperation(collectionName, 'destroy');
 
-    // Save many look-ups and many chars after minification
-    var counters = this.counters[collectionName];
+  // Filter Data based on Options criteria
+  var resultSet = this.query(collectionName, options);
 
-    // Only apply autoIncrement if value is not specified
-    if(values[attrName]) {
-      // If it is and is larger, set the counter to this value so the next increment will continue after it.
-      // Test for an undefined counter, since `1 > undefined === false`
-      if (!counters[attrName] || values[attrName] > counters[attrName]) {
-        counters[attrName] = values[attrName];
-      }
-      continue;
-    }
+  // Records referenced by foreign keys take their referrers along
+  if (this.config.foreignKeys && resultSet.results.length) {
+    var referrers = this.getReferrers(collectionName);
+    if (referrers.length) return this.destroyReferenced(collectionName, resultSet, referrers);
+  }
 
-    // Set Initial Counter Value to 0 for this attribute if not set
-    if(!counters[attrName]) counters[attrName] = 0;
+  return this.removeRecords(collectionName, resultSet);
+};
 
-    // Increment AI counter
-    counters[attrName]++;
+/**
+ * Upsert Records
+ *
+ * Update the records matching `options`, or create one if none match.
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @param {Object} values
+ * @param {Function} callback - called with the records, and whether one
+ *     was created
+ * @api public
+ */
 
-    // Set data to current auto-increment value
-    values[attrName] = counters[attrName];
-  }
+Database.prototype.upsert = function(collectionName, options, values, cb) {
+  var outcome = this.upsertRecords(collectionName, options, values);
 
-  return values;
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results, outcome.created);
+  }, 0);
 };
 
 /**
- * Serialize Values
+ * Upsert Records
  *
- * Serializes/Casts values before inserting.
+ * Matching and writing happen in one go, so no other write can come in
+ * between. A created record holds the values `options` looks for
+ * (i.e. `{ email: 'x' }`), overridden by `values`, and the update
+ * operators of `values` applied to them (`$inc` counting from 0, `$push`
+ * appending to an empty array...).
  *
+ * @param {String} collectionName
+ * @param {Object} options
  * @param {Object} values
- * @return {Object}
+ * @return {Object} - `{ results: [records], created: Boolean }` or `{ error: ... }`
  * @api private
  */
 
-Database.prototype.serializeValues = function(collectionName, values) {
-  var self = this;
-
-  Object.keys(values).forEach(function(key) {
-
-    // Check if a type exist in the schema
-    if(!self.schema[collectionName]) return;
-    if(!self.schema[collectionName].hasOwnProperty(key)) return;
+Database.prototype.upsertRecords = function(collectionName, options, values) {
+  if (!this.data[collectionName]) return { error: Errors.CollectionNotRegistered };
+  options = normalizeCriteria(options);
 
-    var type = self.schema[collectionName][key].type,
-        val;
+  if (!this.query(collectionName, options).results.length) {
+    var split = operators.split(values);
+    if (split.error) return { error: split.error };
 
-    if(type === 'json') {
-      try {
-        val = JSON.parse(values[key]);
-      } catch(e) {
-        return;
-      }
-      values[key] = val;
+    var record = _.extend(valuesFrom(options.where), split.values);
+    if (split.operators) {
+      var applied = operators.apply(record, split.operators);
+      if (applied.errors) return { error: new ValidationError(applied.errors) };
     }
-  });
 
-  return values;
+    var inserted = this.insertRecords(collectionName, record);
+    if (inserted.error) return inserted;
+    return { results: [inserted.results], created: true };
+  }
+
+  var updated = this.updateRecords(collectionName, options, values);
+  if (updated.error) return updated;
+  return { results: updated.results, created: false };
 };
 
 /**
- * enforceUniqueness
- *
- * Enforces uniqueness constraint.
- *
- * PERFORMANCE NOTE:
- * This is O(N^2) - could be easily optimized with a logarithmic algorithm,
- * but this is a development-only database adapter, so this is fine for now.
+ * Find or Create a Record
  *
  * @param {String} collectionName
- * @param {Object} values           - attribute values for a single record
- * @param {Array} updatedIds        - when updating the id is not necessarily included
- *     in the values to update, the ids of the records that will be updated is used when
- *     testing uniqueness of relevant attributes.
- * @return {Object}
- * @api private
+ * @param {Object} options
+ * @param {Object} values
+ * @param {Function} callback - called with the record, and whether it
+ *     was created
+ * @api public
  */
 
-Database.prototype.enforceUniqueness = function(collectionName, values, updatedIds) {
+Database.prototype.findOrCreate = function(collectionName, options, values, cb) {
+  var outcome = this.findOrCreateRecord(collectionName, options, values);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results, outcome.created);
+  }, 0);
+};
+
+/**
+ * Find or Create a Record
+ *
+ * Sends back the first record matching `options`, or creates one from
+ * `values` (or from the values `options` looks for if there are none)
+ * in the same go. Without `options` (as Waterline calls it, with the
+ * values alone), the record is looked up by `values`, less the
+ * timestamps Waterline stamped them with.
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @param {Object} values
+ * @return {Object} - `{ results: record, created: Boolean }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.findOrCreateRecord = function(collectionName, options, values) {
+  if (!this.data[collectionName]) return { error: Errors.CollectionNotRegistered };
+
+  if (!options) {
+    var collection = this.collections[collectionName] || {};
+    options = _.omit(values, [collection.autoCreatedAt, collection.autoUpdatedAt]);
+  }
+  options = normalizeCriteria(options);
+
+  var resultSet = this.query(collectionName, options);
+  if (resultSet.results.length) return { results: resultSet.results[0], created: false };
+
+  var inserted = this.insertRecords(collectionName, values || valuesFrom(options.where));
+  if (inserted.error) return inserted;
+  return { results: inserted.results, created: true };
+};
+
+/**
+ * Bulk Write
+ *
+ * @param {String} collectionName
+ * @param {Array} operations
+ * @param {Function} callback - called with the results of each operation
+ * @api public
+ */
+
+Database.prototype.bulkWrite = function(collectionName, operations, cb) {
+  var outcome = this.bulkWriteRecords(collectionName, operations);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+};
+
+/**
+ * Bulk Write Records
+ *
+ * Applies a batch of writes to a collection, all of them or none.
+ * Each operation looks like `{ method: 'insert', values }` or
+ * `{ method: 'update', criteria, values }` (`criteria` being a `where`
+ * clause or full criteria), the results being the inserted record (or
+ * records) and the updated records of each.
+ *
+ * Operations are applied in order, so constraints are checked against
+ * the records written earlier in the batch as well. Consecutive inserts
+ * are stored together, the collection being swept, journaled and capped
+ * once for all of them.
+ *
+ * @param {String} collectionName
+ * @param {Array} operations
+ * @return {Object} - `{ results: [...] }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.bulkWriteRecords = function(collectionName, operations) {
+  if (!this.data[collectionName]) return { error: Errors.CollectionNotRegistered };
+
+  // Group consecutive inserts, remembering which records each one holds
+  var grouped = [];
+  var positions = [];
+
+  _.each(operations, function(operation) {
+    var last = _.last(grouped);
+
+    if (operation.method !== 'insert') {
+      positions.push({ operation: grouped.length });
+      grouped.push(_.extend({}, operation, {
+        collectionName: collectionName,
+        criteria: normalizeCriteria(operation.criteria)
+      }));
+      return;
+    }
+
+    if (!last || last.method !== 'insert') {
+      last = { method: 'insert', collectionName: collectionName, values: [] };
+      grouped.push(last);
+    }
+
+    var values = Array.isArray(operation.values) ? operation.values : [operation.values];
+    positions.push({
+      operation: grouped.length - 1,
+      from: last.values.length,
+      to: last.values.length + values.length,
+      many: Array.isArray(operation.values)
+    });
+    last.values = last.values.concat(values);
+  });
+
+  var outcome = this.applyOperations(grouped);
+  if (outcome.error) return outcome;
+
+  return {
+    results: positions.map(function(position) {
+      var results = outcome.results[position.operation];
+      if (_.isUndefined(position.from)) return results;
+      if (position.many) return results.slice(position.from, position.to);
+      return results[position.from];
+    })
+  };
+};
+
+/**
+ * Remove Records
+ *
+ * @param {String} collectionName
+ * @param {Object} resultSet - as sent back by `query`
+ * @param {String} type      - change event type, `destroy` by default
+ * @return {Object} - `{ results: ... }`
+ * @api private
+ */
+
+Database.prototype.removeRecords = function(collectionName, resultSet, type) {
+  var collectionSchema = this.schema[collectionName] || {};
+
+  var records = this.data[collectionName];
+  var destroyed = _.at(records, resultSet.indices);
+  var removed = _.indexBy(resultSet.indices);
+
+  this.data[collectionName] = _.reject(records, function (model, i) {
+    return removed.hasOwnProperty(i);
+  });
+
+  // Keep the known size of the collection rather than measuring it again
+  var known = this.sizes[collectionName];
+  if (known && known.records === records) {
+    this.sizes[collectionName] = { records: this.data[collectionName], bytes: known.bytes - _.sum(destroyed, sizeOf) };
+  }
+
+  if (resultSet.results.length) {
+    var pkAttrName = getPrimaryKey(collectionSchema);
+    this.writeJournal(pkAttrName ?
+      { op: 'destroy', collection: collectionName, key: pkAttrName, values: _.pluck(resultSet.results, pkAttrName) } :
+      { op: 'set', collection: collectionName, records: this.data[collectionName] });
+    this.emitChange({ type: type || 'destroy', collection: collectionName, before: destroyed, after: [] });
+  }
+
+  return { results: resultSet.results };
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// INDEXES
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Query
+ *
+ * Runs criteria against a collection, only looking at the records the
+ * collection's indexes point to when the criteria allow it.
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @return {Object} - `{ results: [...], indices: [...] }` like `waterlineCriteria`
+ * @api private
+ */
+
+Database.prototype.query = function(collectionName, options) {
+
+  // Expired records are never matched
+  this.sweepCollection(collectionName);
+
+  var collectionSchema = this.schema[collectionName] || {};
+  var indexes = this.getIndexes(collectionName);
+  var positions = indexes && options ? indexes.plan(options.where) : null;
+
+  if(!positions) {
+    var allResults = waterlineCriteria(collectionName, this.data, options, collectionSchema);
+    this.profiler.count((this.data[collectionName] || []).length, (allResults.results || []).length);
+    return allResults;
+  }
+
+  var records = this.data[collectionName];
+  var candidates = {};
+  candidates[collectionName] = positions.map(function(position) {
+    return records[position];
+  });
+
+  var resultSet = waterlineCriteria(collectionName, candidates, options, collectionSchema);
+  this.profiler.count(positions.length, resultSet.results.length);
+
+  // Point back to the records' positions in the whole collection
+  resultSet.indices = resultSet.indices.map(function(index) {
+    return positions[index];
+  });
+
+  return resultSet;
+};
+
+/**
+ * Get Indexes
+ *
+ * Indexes are kept up to date by `insertRecords` and `updateRecords`.
+ * Whenever a collection's records or schema are replaced as a whole
+ * (destroying records, restoring a backup, a new definition...) its
+ * indexes no longer match and are built again here.
+ *
+ * @param {String} collectionName
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.getIndexes = function(collectionName) {
+  var records = this.data[collectionName];
+  if(!records) return null;
+
+  var schema = this.schema[collectionName] || {};
+  var indexes = this.indexes[collectionName];
+
+  if(!indexes || indexes.records !== records || indexes.schema !== schema) {
+    indexes = this.indexes[collectionName] = new Indexes(records, schema);
+  }
+
+  return indexes;
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// JOINS
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Join
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria - with the `joins` Waterline builds to populate
+ *     associations
+ * @param {Function} cb
+ * @api public
+ */
+
+Database.prototype.join = function(collectionName, criteria, cb) {
+  var outcome = this.joinRecords(collectionName, criteria);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+};
+
+/**
+ * Join Records
+ *
+ * Finds the records matching `criteria`, and populates each association
+ * its `joins` list (grouped by alias).
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria
+ * @return {Object} - `{ results: [...] }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.joinRecords = function(collectionName, criteria) {
+  var self = this;
+  var joins = criteria.joins || criteria.join || [];
+
+  var unregistered = !this.data[collectionName] || _.some(joins, function(join) {
+    return !self.data[join.child];
+  });
+  if (unregistered) return { error: Errors.CollectionNotRegistered };
+
+  var parents = this.selectRecords(collectionName, _.omit(criteria, 'joins', 'join'));
+  if (parents.error) return parents;
+
+  var associations = _.groupBy(joins, 'alias');
+
+  for (var alias in associations) {
+    var populated = this.populate(parents.results, associations[alias]);
+    if (populated.error) return populated;
+  }
+
+  return parents;
+};
+
+/**
+ * Populate an Association
+ *
+ * A hash join: the associated records of every parent are found at
+ * once, and hashed by the key pointing to their parent. The records
+ * pointed to by a foreign key of the parents (a `model` association)
+ * are set under that key, the ones pointing to the parents (a `via`
+ * collection), directly or through a junction table, under the alias,
+ * as arrays either way.
+ *
+ * The association's `where` and `sort` are run against all of them, its
+ * `skip` and `limit` against each parent's share.
+ *
+ * @param {Array} parents
+ * @param {Array} instructions - the joins of the association: one, or
+ *     two through a junction table
+ * @return {Object} - `{ results: parents }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.populate = function(parents, instructions) {
+  var first = _.first(instructions);
+  var last = _.last(instructions);
+  var throughJunctor = instructions.length === 2;
+  var ownsForeignKey = !throughJunctor && first.parentKey !== this.getPKField(first.parent);
+
+  // The values of the parents the associated records are linked to
+  var parentValues = _.filter(_.pluck(parents, first.parentKey), isPresent);
+
+  // Through a junction table, each parent is linked to some of the values
+  // of the associated records' keys
+  var links = null;
+  if (throughJunctor) {
+    var junctorWhere = {};
+    junctorWhere[first.childKey] = parentValues;
+
+    var junctors = this.selectRecords(first.child, { where: junctorWhere });
+    if (junctors.error) return junctors;
+
+    links = {};
+    junctors.results.forEach(function(junctor) {
+      var value = junctor[last.parentKey];
+      if (!isPresent(value)) return;
+
+      var key = joinKey(junctor[first.childKey]);
+      (links[key] = links[key] || []).push(value);
+    });
+  }
+
+  // Find the associated records of every parent at once, leaving the
+  // paging to each parent's share
+  var criteria = _.omit(_.cloneDeep(last.criteria || {}), 'skip', 'limit');
+  criteria.where = criteria.where || {};
+  if (!_.has(criteria.where, last.childKey)) {
+    criteria.where[last.childKey] = throughJunctor ? _.flatten(_.values(links)) : parentValues;
+  }
+
+  var children = this.selectRecords(last.child, criteria);
+  if (children.error) return children;
+
+  // Hash them by the key pointing to their parent
+  var positions = {};
+  children.results.forEach(function(child, position) {
+    var value = child[last.childKey];
+    if (!isPresent(value)) return;
+
+    var key = joinKey(value);
+    (positions[key] = positions[key] || []).push(position);
+  });
+
+  var skip = last.criteria && last.criteria.skip || 0;
+  var limit = last.criteria && last.criteria.limit;
+  var keyName = ownsForeignKey ? first.parentKey : first.alias;
+
+  // Records shared by several parents are handed out as copies
+  var handedOut = [];
+
+  parents.forEach(function(parent) {
+    var value = parent[first.parentKey];
+    var values = !isPresent(value) ? [] :
+      throughJunctor ? links[joinKey(value)] || [] : [value];
+
+    var share = _.uniq(_.flatten(values.map(function(value) {
+      return positions[joinKey(value)] || [];
+    }))).sort(function(a, b) {
+      return a - b;
+    });
+
+    share = share.slice(skip, _.isUndefined(limit) ? undefined : skip + limit);
+
+    parent[keyName] = share.map(function(position) {
+      var child = children.results[position];
+      if (!handedOut[position]) {
+        handedOut[position] = true;
+        return child;
+      }
+      return _.cloneDeep(child);
+    });
+  });
+
+  return { results: parents };
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// TRANSACTIONS
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Begin a Transaction
+ *
+ * @param {Function} callback
+ * @api public
+ */
+
+Database.prototype.beginTransaction = function(cb) {
+  var id = ++this.transactionCounter;
+  var transaction = this.transactions[id] = new Transaction(this, id);
+
+  setTimeout(function() {
+    cb(null, transaction);
+  }, 0);
+};
+
+/**
+ * Commit a Transaction
+ *
+ * @param {Object|Number} transaction - a Transaction or its id
+ * @param {Function} callback
+ * @api public
+ */
+
+Database.prototype.commitTransaction = function(transaction, cb) {
+  var tx = this.getTransaction(transaction);
+  if(!tx) return setTimeout(function() { cb(new Error('Transaction is not active')); }, 0);
+  tx.commit(cb);
+};
+
+/**
+ * Roll back a Transaction
+ *
+ * @param {Object|Number} transaction - a Transaction or its id
+ * @param {Function} callback
+ * @api public
+ */
+
+Database.prototype.rollbackTransaction = function(transaction, cb) {
+  var tx = this.getTransaction(transaction);
+  if(!tx) return setTimeout(function() { cb(new Error('Transaction is not active')); }, 0);
+  tx.rollback(cb);
+};
+
+/**
+ * Look up an open Transaction
+ *
+ * @param {Object|Number} transaction - a Transaction or its id
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.getTransaction = function(transaction) {
+  var id = transaction instanceof Transaction ? transaction.id : transaction;
+  return this.transactions[id];
+};
+
+/**
+ * Fork
+ *
+ * Build a Database holding a private copy of this one's records.
+ * Stored records are never changed in place, so copying the collection
+ * arrays is enough to keep both sides independent. Counters stay shared:
+ * keys generated in the fork are used up even if it is thrown away.
+ *
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.fork = function() {
+  var fork = new Database(this.config, this.collections);
+
+  // Keys generated in the fork are reserved on this database, so that
+  // concurrent forks never hand out the same one
+  fork.parent = this;
+
+  fork.schema = this.schema;
+  fork.journal = null;
+  fork.subscribers = [];
+  fork.data = _.mapValues(this.data, function(records) {
+    return records.slice();
+  });
+
+  return fork;
+};
+
+/**
+ * Apply Operations
+ *
+ * Applies a list of writes in one go, or none of them at all if any
+ * of them fails. Each operation looks like:
+ * `{ method: 'insert'|'update'|'destroy', collectionName, criteria, values }`
+ *
+ * @param {Array} operations
+ * @return {Object} - `{ results: [...] }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.applyOperations = function(operations) {
+  var self = this;
+
+  // Destroying referenced records can reach any collection
+  var backup = this.backup(this.config.foreignKeys ?
+    Object.keys(this.data) :
+    _.uniq(_.pluck(operations, 'collectionName')));
+  var results = [];
+
+  this.holdWrites();
+
+  for (var i = 0; i < operations.length; i++) {
+    var operation = operations[i];
+    var outcome;
+
+    switch(operation.method) {
+      case 'insert':
+        outcome = self.insertRecords(operation.collectionName, operation.values);
+        break;
+      case 'update':
+        outcome = self.updateRecords(operation.collectionName, operation.criteria, operation.values);
+        break;
+      case 'destroy':
+        outcome = self.destroyRecords(operation.collectionName, operation.criteria);
+        break;
+      default:
+        outcome = { error: new Error('Unknown operation `' + operation.method + '`') };
+    }
+
+    if(outcome.error) {
+      self.restore(backup);
+      self.releaseWrites(false);
+      return { error: outcome.error };
+    }
+
+    results.push(outcome.results);
+  }
+
+  this.releaseWrites(true);
+
+  return { results: results };
+};
+
+/**
+ * Backup
+ *
+ * Remember the current records and counters of some collections.
+ *
+ * @param {Array} collectionNames
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.backup = function(collectionNames) {
+  var self = this;
+  var backup = { data: {}, counters: {} };
+
+  collectionNames.forEach(function(collectionName) {
+    if(self.data[collectionName]) backup.data[collectionName] = self.data[collectionName].slice();
+    if(self.counters[collectionName]) backup.counters[collectionName] = _.clone(self.counters[collectionName]);
+  });
+
+  return backup;
+};
+
+/**
+ * Restore
+ *
+ * Put back the records and counters remembered by `backup`.
+ *
+ * @param {Object} backup
+ * @api private
+ */
+
+Database.prototype.restore = function(backup) {
+  var self = this;
+
+  _.each(backup.data, function(records, collectionName) {
+    self.data[collectionName] = records;
+  });
+
+  _.each(backup.counters, function(counters, collectionName) {
+    self.counters[collectionName] = counters;
+  });
+};
+
+/**
+ * Hold Writes
+ *
+ * Keep journal entries and change events in memory until `releaseWrites`
+ * is called, while the writes they describe may still be undone.
+ * Holds can be nested: entries are only written once the outermost
+ * hold is released.
+ *
+ * @api private
+ */
+
+Database.prototype.holdWrites = function() {
+  if(!this.heldWrites) this.heldWrites = { journal: [], changes: [], marks: [] };
+
+  this.heldWrites.marks.push({
+    journal: this.heldWrites.journal.length,
+    changes: this.heldWrites.changes.length
+  });
+};
+
+/**
+ * Release Writes
+ *
+ * Write the held journal entries and emit the held change events, or
+ * throw away the ones held since the matching `holdWrites` if the writes
+ * they describe were undone.
+ *
+ * @param {Boolean} keep
+ * @api private
+ */
+
+Database.prototype.releaseWrites = function(keep) {
+  var self = this;
+  var held = this.heldWrites;
+  if(!held) return;
+
+  var mark = held.marks.pop();
+  if(!keep) {
+    held.journal.length = mark.journal;
+    held.changes.length = mark.changes;
+  }
+
+  if(held.marks.length) return;
+  this.heldWrites = null;
+
+  held.journal.forEach(function(entry) {
+    self.writeJournal(entry);
+  });
+
+  held.changes.forEach(function(change) {
+    self.emitChange(change);
+  });
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// SNAPSHOTS
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Create a named Snapshot
+ *
+ * Deep-copies the records, counters and schema of every collection,
+ * replacing any snapshot previously taken under the same name.
+ *
+ * @param {String} name
+ * @param {Function} callback
+ * @api public
+ */
+
+Database.prototype.createSnapshot = function(name, cb) {
+
+  this.snapshots[name] = {
+    data: _.cloneDeep(this.data),
+    counters: _.cloneDeep(this.counters),
+    schema: _.cloneDeep(this.schema)
+  };
+
+  setTimeout(function() {
+    cb();
+  }, 0);
+};
+
+/**
+ * Restore a named Snapshot
+ *
+ * Stored records are never changed in place, so the snapshot's records
+ * can be shared with the restored collections and only the collection
+ * arrays need copying.
+ *
+ * @param {String} name
+ * @param {Function} callback
+ * @api public
+ */
+
+Database.prototype.restoreSnapshot = function(name, cb) {
+  var snapshot = this.snapshots[name];
+
+  if(!snapshot) {
+    return setTimeout(function() {
+      cb(new Error('No snapshot named `' + name + '`'));
+    }, 0);
+  }
+
+  this.data = _.mapValues(snapshot.data, function(records) {
+    return records.slice();
+  });
+  this.counters = _.cloneDeep(snapshot.counters);
+  this.schema = _.cloneDeep(snapshot.schema);
+
+  // The journal can't describe this change entry by entry, so store
+  // the whole datastore as it is now.
+  if(this.journal) this.journal.compact(this);
+
+  setTimeout(function() {
+    cb();
+  }, 0);
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// IMPORT / EXPORT
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Export Collections
+ *
+ * Writes the records of each collection to `<collection>.<format>` in the
+ * directory at `path` (created, along with its parents, if missing), and
+ * its schema and counters to `<collection>.schema.json`. Options:
+ *
+ *   - `path`: the directory
+ *   - `format`: `json` (by default), `ndjson` or `csv`
+ *   - `collections`: the collections to export (all of them by default)
+ *
+ * @param {Object} options
+ * @param {Function} callback - called with the number of records written
+ *     for each collection
+ * @api public
+ */
+
+Database.prototype.exportCollections = function(options, cb) {
+  var outcome = this.writeExport(options || {});
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+};
+
+/**
+ * Write an Export
+ *
+ * @param {Object} options
+ * @return {Object} - `{ results: { collection: count } }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.writeExport = function(options) {
+  var self = this;
+
+  var collectionNames = options.collections || Object.keys(this.data);
+  if(_.some(collectionNames, function(collectionName) { return !self.data[collectionName]; })) {
+    return { error: Errors.CollectionNotRegistered };
+  }
+
+  var collections = {};
+  collectionNames.forEach(function(collectionName) {
+    self.sweepCollection(collectionName);
+
+    collections[collectionName] = {
+      records: self.data[collectionName],
+      schema: self.schema[collectionName] || {},
+      counters: self.counters[collectionName] || {}
+    };
+  });
+
+  return transfer.write(options, collections);
+};
+
+/**
+ * Import Collections
+ *
+ * Reads back the files written by `exportCollections` (or records from
+ * elsewhere, i.e. a CSV export of another database) from the directory
+ * at `path`, inserting the records the same way `insert` would, all of
+ * them or none. Values are cast to the attribute types first. Options:
+ *
+ *   - `path`: the directory
+ *   - `format`: the format to read, if the directory holds several
+ *   - `collections`: the collections to import, in order (all the ones
+ *     with a file by default)
+ *   - `replace`: whether to destroy the records the collections hold first
+ *
+ * Collections the datastore doesn't have yet are defined from their
+ * `<collection>.schema.json`. Counters are moved on to the exported ones
+ * when those are further.
+ *
+ * @param {Object} options
+ * @param {Function} callback - called with the number of records imported
+ *     for each collection
+ * @api public
+ */
+
+Database.prototype.importCollections = function(options, cb) {
+  var self = this;
+
+  options = options || {};
+  var files = transfer.read(options);
+
+  if(files.error) return setTimeout(function() { cb(files.error); }, 0);
+
+  // Define the collections the datastore doesn't have yet
+  async.eachSeries(Object.keys(files.results), function(collectionName, nextCollection) {
+    var file = files.results[collectionName];
+    if(self.data[collectionName]) return nextCollection();
+    if(!file.schema) {
+      return nextCollection(new Error('Cannot import collection `' + collectionName + '`: ' + Errors.CollectionNotRegistered.message));
+    }
+
+    self.createCollection(collectionName, file.schema, nextCollection);
+  }, function(err) {
+    if(err) return cb(err);
+
+    var outcome = self.importRecords(files.results, options.replace);
+
+    setTimeout(function() {
+      if(outcome.error) return cb(outcome.error);
+      cb(null, outcome.results);
+    }, 0);
+  });
+};
+
+/**
+ * Import Records
+ *
+ * @param {Object} files - `{ records, schema, counters }` for each collection
+ * @param {Boolean} replace
+ * @return {Object} - `{ results: { collection: count } }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.importRecords = function(files, replace) {
+  var self = this;
+  var operations = [];
+
+  _.each(files, function(file, collectionName) {
+    if(replace) operations.push({ method: 'destroy', collectionName: collectionName, criteria: {} });
+
+    operations.push({
+      method: 'insert',
+      collectionName: collectionName,
+      values: file.records.map(function(record) {
+        return self.serializeValues(collectionName, record, true);
+      })
+    });
+  });
+
+  var outcome = this.applyOperations(operations);
+  if(outcome.error) return outcome;
+
+  // Keys may have been generated past the highest one exported
+  _.each(files, function(file, collectionName) {
+    var counters = self.counters[collectionName];
+
+    _.each(file.counters, function(value, attrName) {
+      var current = counters[attrName];
+      if(_.isUndefined(current) || _.isNumber(value) && _.isNumber(current) && value > current) {
+        counters[attrName] = value;
+      }
+    });
+  });
+
+  // The counters moved on outside of any write, so store the whole
+  // datastore as it is now
+  if(this.journal) this.journal.compact(this);
+
+  return {
+    results: _.mapValues(files, function(file) {
+      return file.records.length;
+    })
+  };
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// DURABILITY
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Load Journal
+ *
+ * Replace the datastore with the one stored on disk, if any.
+ *
+ * @return {Object} - `{ results: true }` if a stored datastore was loaded,
+ *     `{ results: false }` if not, or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.loadJournal = function() {
+  if(!this.journal) return { results: false };
+
+  var loaded = this.journal.load();
+  if(loaded.error) return { error: loaded.error };
+  if(!loaded.results) return { results: false };
+
+  this.data = loaded.results.data;
+  this.counters = loaded.results.counters;
+  this.schema = loaded.results.schema;
+
+  return { results: true };
+};
+
+/**
+ * Write Journal
+ *
+ * Log a write to disk, compacting the journal once its log has grown
+ * past `compactAfter` entries (1000 by default).
+ *
+ * @param {Object} entry
+ * @api private
+ */
+
+Database.prototype.writeJournal = function(entry) {
+  if(!this.journal) return;
+  if(this.heldWrites) return this.heldWrites.journal.push(entry);
+
+  this.journal.append(entry);
+
+  if(this.journal.size >= (this.config.compactAfter || 1000)) {
+    this.journal.compact(this);
+  }
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// CHANGE FEED
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Subscribe to Changes
+ *
+ * `listener` is called with a change event after every successful write
+ * to the collection (or to any collection when `collectionName` is null):
+ *
+ *   { type: 'insert'|'update'|'destroy'|'drop', collection: 'user',
+ *     before: [records as they were], after: [records as they are] }
+ *
+ * For updates, `before` and `after` hold the same records in the same order.
+ *
+ * @param {String} collectionName
+ * @param {Function} listener
+ * @api public
+ */
+
+Database.prototype.subscribe = function(collectionName, listener) {
+  this.subscribers.push({ collectionName: collectionName, listener: listener });
+};
+
+/**
+ * Unsubscribe from Changes
+ *
+ * @param {String} collectionName
+ * @param {Function} listener
+ * @api public
+ */
+
+Database.prototype.unsubscribe = function(collectionName, listener) {
+  this.subscribers = _.reject(this.subscribers, function(subscriber) {
+    return subscriber.collectionName === collectionName && subscriber.listener === listener;
+  });
+};
+
+/**
+ * Emit Change
+ *
+ * Listeners are called once the write is over, with their own copy
+ * of the records.
+ *
+ * @param {Object} change
+ * @api private
+ */
+
+Database.prototype.emitChange = function(change) {
+  if(this.heldWrites) return this.heldWrites.changes.push(change);
+
+  var subscribers = _.filter(this.subscribers, function(subscriber) {
+    return !subscriber.collectionName || subscriber.collectionName === change.collection;
+  });
+  if(!subscribers.length) return;
+
+  subscribers.forEach(function(subscriber) {
+    var event = _.cloneDeep(change);
+
+    setTimeout(function() {
+      subscriber.listener(event);
+    }, 0);
+  });
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// EXPIRY
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Now
+ *
+ * A fork follows the clock of the database it was made from, even once
+ * that clock is replaced.
+ *
+ * @return {Number} - current time in milliseconds
+ * @api private
+ */
+
+Database.prototype.now = function() {
+  if (this.parent) return this.parent.now();
+  return this.clock ? +this.clock() : Date.now();
+};
+
+/**
+ * Set Clock
+ *
+ * Replace the clock used to expire records, i.e. to move time forward
+ * in tests. Pass null to go back to the system clock.
+ *
+ * @param {Function} clock - returns the current time (a Date or milliseconds)
+ * @api public
+ */
+
+Database.prototype.setClock = function(clock) {
+  this.clock = clock;
+};
+
+/**
+ * Get Expiry Rules
+ *
+ * Records of a collection expire:
+ *
+ *   - at the time held by the attribute named by the collection's
+ *     `expiresAt` setting
+ *   - `ttl` milliseconds (set on the collection) after the time held by
+ *     the attribute named by `ttlFrom`, or else by `updatedAt` (or
+ *     `createdAt` if the collection only has that one)
+ *
+ * @param {String} collectionName
+ * @return {Array} - `{ attribute, ttl }` for each rule
+ * @api private
+ */
+
+Database.prototype.getExpiryRules = function(collectionName) {
+  var collection = this.collections[collectionName] || {};
+  var schema = this.schema[collectionName] || {};
+  var rules = [];
+
+  if (collection.expiresAt) rules.push({ attribute: collection.expiresAt, ttl: 0 });
+
+  if (collection.ttl) {
+    var from = collection.ttlFrom || (!schema.updatedAt && schema.createdAt ? 'createdAt' : 'updatedAt');
+    rules.push({ attribute: from, ttl: collection.ttl });
+  }
+
+  return rules;
+};
+
+/**
+ * Expiry time of a record
+ *
+ * @param {Array} rules
+ * @param {Object} record
+ * @return {Number} - Infinity if the record never expires
+ * @api private
+ */
+
+function expiryOf(rules, record) {
+  var expiry = Infinity;
+
+  rules.forEach(function(rule) {
+    var value = record[rule.attribute];
+    if (_.isUndefined(value) || value === null) return;
+
+    var time = new Date(value).getTime();
+    if (!isNaN(time)) expiry = Math.min(expiry, time + rule.ttl);
+  });
+
+  return expiry;
+}
+
+/**
+ * Track Expiry
+ *
+ * Keep the earliest expiry time of a collection up to date as records
+ * are written, so collections with nothing to expire yet aren't scanned.
+ *
+ * @param {String} collectionName
+ * @param {Object} record
+ * @api private
+ */
+
+Database.prototype.trackExpiry = function(collectionName, record) {
+  var known = this.expiries[collectionName];
+  if (!known || known.records !== this.data[collectionName]) return;
+
+  known.at = Math.min(known.at, expiryOf(this.getExpiryRules(collectionName), record));
+};
+
+/**
+ * Sweep a Collection
+ *
+ * Remove the expired records of a collection.
+ *
+ * @param {String} collectionName
+ * @api private
+ */
+
+Database.prototype.sweepCollection = function(collectionName) {
+  var records = this.data[collectionName];
+  if (!records) return;
+
+  var now = this.now();
+
+  // Nothing expires before the earliest known expiry time (unless the
+  // records were replaced since it was computed)
+  var known = this.expiries[collectionName];
+  if (known && known.records === records && now < known.at) return;
+
+  var rules = this.getExpiryRules(collectionName);
+  var next = Infinity;
+  var expired = { results: [], indices: [] };
+
+  if (rules.length) {
+    records.forEach(function(record, i) {
+      var expiry = expiryOf(rules, record);
+
+      if (expiry <= now) {
+        expired.results.push(_.cloneDeep(record));
+        expired.indices.push(i);
+      } else {
+        next = Math.min(next, expiry);
+      }
+    });
+  }
+
+  if (expired.indices.length) this.removeRecords(collectionName, expired, 'expire');
+
+  this.expiries[collectionName] = { records: this.data[collectionName], at: next };
+};
+
+/**
+ * Start the Sweeper
+ *
+ * Sweep every collection whose records can expire, every `sweepInterval`
+ * milliseconds (60 seconds by default). The timer doesn't keep the
+ * process alive.
+ *
+ * @api private
+ */
+
+Database.prototype.startSweeper = function() {
+  var self = this;
+
+  if (this.sweeper || this.config.sweepInterval === false) return;
+
+  var hasRules = _.some(Object.keys(this.schema), function(collectionName) {
+    return self.getExpiryRules(collectionName).length > 0;
+  });
+  if (!hasRules) return;
+
+  this.sweeper = setInterval(function() {
+    Object.keys(self.data).forEach(function(collectionName) {
+      self.sweepCollection(collectionName);
+    });
+  }, this.config.sweepInterval || 60000);
+
+  if (this.sweeper.unref) this.sweeper.unref();
+};
+
+/**
+ * Close
+ *
+ * Stop any timers, once the connection is torn down.
+ *
+ * @api public
+ */
+
+Database.prototype.close = function() {
+  if (this.sweeper) clearInterval(this.sweeper);
+  this.sweeper = null;
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// FAULT INJECTION
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Set Faults
+ *
+ * Replace the latency, error rates and scripted failures injected in
+ * adapter methods (see `Faults`). Pass null to stop injecting faults.
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+Database.prototype.setFaults = function(options) {
+  this.faults.configure(options);
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// PROFILING
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Get the Query Log
+ *
+ * @return {Array} - an entry for each query, oldest first (see `Profiler`)
+ * @api public
+ */
+
+Database.prototype.getQueryLog = function() {
+  return _.cloneDeep(this.profiler.entries);
+};
+
+/**
+ * Get Query Stats
+ *
+ * @return {Object} - stats by method and collection (see `Profiler`)
+ * @api public
+ */
+
+Database.prototype.getQueryStats = function() {
+  return this.profiler.stats();
+};
+
+/**
+ * Reset the Query Log
+ *
+ * @api public
+ */
+
+Database.prototype.resetQueryLog = function() {
+  this.profiler.reset();
+};
+
+/**
+ * Report Slow Queries
+ *
+ * Call `listener` with the log entry of every query taking `threshold`
+ * milliseconds or more. Pass a null listener to stop.
+ *
+ * @param {Number} threshold
+ * @param {Function} listener
+ * @api public
+ */
+
+Database.prototype.onSlowQuery = function(threshold, listener) {
+  this.profiler.slowQueryThreshold = threshold;
+  this.profiler.onSlowQuery = listener;
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// MEMORY
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Estimate the memory taken by a value
+ *
+ * A rough estimate of the heap bytes used by a value (as V8 lays out
+ * strings, numbers and objects), good enough to compare collections and
+ * notice growth.
+ *
+ * @param {*} value
+ * @return {Number}
+ * @api private
+ */
+
+function sizeOf(value) {
+  if (_.isUndefined(value) || value === null) return 8;
+  if (_.isBoolean(value)) return 4;
+  if (_.isNumber(value)) return 8;
+  if (_.isString(value)) return 12 + 2 * value.length;
+  if (_.isDate(value)) return 48;
+
+  var size = 16;
+  _.each(value, function(item) {
+    size += 8 + sizeOf(item);
+  });
+  return size;
+}
+
+/**
+ * Get the Size of a Collection
+ *
+ * Measured once, then kept up to date as records are written (see
+ * `trackSize`), until the records are replaced.
+ *
+ * @param {String} collectionName
+ * @return {Number} - estimated bytes
+ * @api private
+ */
+
+Database.prototype.getSize = function(collectionName) {
+  var records = this.data[collectionName];
+  var known = this.sizes[collectionName];
+
+  if (!known || known.records !== records) {
+    known = this.sizes[collectionName] = { records: records, bytes: _.sum(records, sizeOf) };
+  }
+
+  return known.bytes;
+};
+
+/**
+ * Track Size
+ *
+ * Keep the known size of a collection up to date as records are written.
+ *
+ * @param {String} collectionName
+ * @param {Object} previousRecord - null for a new record
+ * @param {Object} record
+ * @api private
+ */
+
+Database.prototype.trackSize = function(collectionName, previousRecord, record) {
+  var known = this.sizes[collectionName];
+  if (!known || known.records !== this.data[collectionName]) return;
+
+  known.bytes += sizeOf(record) - (previousRecord ? sizeOf(previousRecord) : 0);
+};
+
+/**
+ * Count an Operation
+ *
+ * @param {String} collectionName
+ * @param {String} method - `find`, `create`, `update` or `destroy`
+ * @api private
+ */
+
+Database.prototype.countOperation = function(collectionName, method) {
+  if (!this.data[collectionName]) return;
+
+  var operations = this.operations[collectionName] = this.operations[collectionName] ||
+    { find: 0, create: 0, update: 0, destroy: 0 };
+  operations[method]++;
+};
+
+/**
+ * Check the Memory Budget
+ *
+ * With a `memoryBudget` (in estimated bytes) in the connection config,
+ * finding it exceeded either warns once (`onMemoryBudget: 'warn'`, the
+ * default), calls `onMemoryBudget` once with the error if it is a
+ * function, or (`onMemoryBudget: 'error'`) sends back an error to refuse
+ * writes until memory is freed.
+ *
+ * @return {Object} - an error to refuse a write with, or null
+ * @api private
+ */
+
+Database.prototype.checkBudget = function() {
+  var self = this;
+  var budget = this.config.memoryBudget;
+  if (!budget) return null;
+
+  var bytes = _.sum(Object.keys(this.data), function(collectionName) {
+    return self.getSize(collectionName);
+  });
+
+  if (bytes <= budget) {
+    this.overBudget = false;
+    return null;
+  }
+
+  var error = new BudgetError(bytes, budget);
+  var onMemoryBudget = this.config.onMemoryBudget;
+
+  if (onMemoryBudget === 'error') return error;
+
+  if (!this.overBudget) {
+    if (_.isFunction(onMemoryBudget)) onMemoryBudget(error);
+    else console.warn('sails-memory: ' + error.message);
+  }
+  this.overBudget = true;
+
+  return null;
+};
+
+/**
+ * Stats
+ *
+ * @return {Object} - `{ bytes, budget, collections }`, `collections`
+ *     holding the `records`, estimated `bytes`, `counters`, `indexes`
+ *     (the number of distinct `keys` and of `entries` of each) and
+ *     `operations` (counts by method) of each collection
+ * @api public
+ */
+
+Database.prototype.stats = function() {
+  var self = this;
+
+  var collections = _.mapValues(this.data, function(records, collectionName) {
+    var indexes = self.getIndexes(collectionName);
+
+    return {
+      records: records.length,
+      bytes: self.getSize(collectionName),
+      counters: _.clone(self.counters[collectionName]),
+      indexes: indexes ? indexes.stats() : {},
+      operations: _.clone(self.operations[collectionName] || { find: 0, create: 0, update: 0, destroy: 0 })
+    };
+  });
+
+  return {
+    bytes: _.sum(collections, 'bytes'),
+    budget: this.config.memoryBudget || null,
+    collections: collections
+  };
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// CAPPED COLLECTIONS
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Get the Cap of a Collection
+ *
+ * A collection is capped by setting `maxRecords` and/or `maxBytes` (an
+ * approximate budget, see `sizeOf`) on it.
+ * Records past the cap are evicted following `evict`: `fifo` (the oldest
+ * records first, the default) or `lru` (the least recently read first).
+ *
+ * @param {String} collectionName
+ * @return {Object} - `{ maxRecords, maxBytes, evict }`, or null if the
+ *     collection isn't capped
+ * @api private
+ */
+
+Database.prototype.getCap = function(collectionName) {
+  var collection = this.collections[collectionName] || {};
+  if (!collection.maxRecords && !collection.maxBytes) return null;
+
+  return {
+    maxRecords: collection.maxRecords || Infinity,
+    maxBytes: collection.maxBytes || Infinity,
+    evict: collection.evict === 'lru' ? 'lru' : 'fifo'
+  };
+};
+
+/**
+ * Track Reads
+ *
+ * Remember when records of a collection evicting the least recently
+ * read records were last read (or written).
+ *
+ * @param {String} collectionName
+ * @param {Array} records
+ * @api private
+ */
+
+Database.prototype.trackReads = function(collectionName, records) {
+  var cap = this.getCap(collectionName);
+  if (!cap || cap.evict !== 'lru') return;
+
+  var pkAttrName = getPrimaryKey(this.schema[collectionName]);
+  if (!pkAttrName) return;
+
+  var reads = this.reads[collectionName] = this.reads[collectionName] || {};
+  var tick = ++this.readCounter;
+
+  records.forEach(function(record) {
+    if (!_.isUndefined(record[pkAttrName])) reads[record[pkAttrName]] = tick;
+  });
+};
+
+/**
+ * Enforce the Cap of a Collection
+ *
+ * Evict records until the collection is back within its cap.
+ *
+ * @param {String} collectionName
+ * @api private
+ */
+
+Database.prototype.enforceCap = function(collectionName) {
+  var cap = this.getCap(collectionName);
+  if (!cap) return;
+
+  var records = this.data[collectionName];
+  var count = records.length;
+  var bytes = 0;
+
+  if (cap.maxBytes !== Infinity) bytes = this.getSize(collectionName);
+
+  if (count <= cap.maxRecords && bytes <= cap.maxBytes) return;
+
+  // Positions of the records in the order they should go
+  var order = _.range(count);
+  var pkAttrName = getPrimaryKey(this.schema[collectionName]);
+  var reads = this.reads[collectionName] || {};
+  if (cap.evict === 'lru' && pkAttrName) {
+    order = _.sortBy(order, function(position) {
+      return reads[records[position][pkAttrName]] || 0;
+    });
+  }
+
+  var evicted = { results: [], indices: [] };
+  for (var i = 0; i < order.length && (count > cap.maxRecords || bytes > cap.maxBytes); i++) {
+    var record = records[order[i]];
+
+    evicted.results.push(_.cloneDeep(record));
+    evicted.indices.push(order[i]);
+    count--;
+    if (cap.maxBytes !== Infinity) bytes -= sizeOf(record);
+  }
+
+  this.removeRecords(collectionName, evicted, 'evict');
+
+  // Forget when evicted records were read
+  if (pkAttrName) {
+    evicted.results.forEach(function(record) {
+      delete reads[record[pkAttrName]];
+    });
+  }
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// CONSTRAINTS
+///////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Auto-Increment values based on schema definition
+ *
+ * Generates a value for every attribute with a key generator (see
+ * `getKeyGenerator`) that wasn't given one.
+ *
+ * @param {String} collectionName
+ * @param {Object} values
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.autoIncrement = function(collectionName, values) {
+
+  for (var attrName in this.schema[collectionName]) {
+    var generator = this.getKeyGenerator(collectionName, attrName);
+
+    if(!generator) continue;
+
+    // Save many look-ups and many chars after minification
+    // (a fork counts on the database it was forked from)
+    var counters = (this.parent || this).counters[collectionName];
+
+    // Only generate a value if one is not specified
+    if(values[attrName]) {
+      // If it is and is larger, set the counter to this value so the next increment will continue after it.
+      // Test for an undefined counter, since `1 > undefined === false`
+      if (generator.type === 'sequence' && (!counters.hasOwnProperty(attrName) || values[attrName] > counters[attrName])) {
+        counters[attrName] = values[attrName];
+      }
+      continue;
+    }
+
+    values[attrName] = keys.generate(generator, counters[attrName], this.now());
+
+    // Sequences continue from the last value handed out
+    if(generator.type === 'sequence') counters[attrName] = values[attrName];
+  }
+
+  return values;
+};
+
+/**
+ * Apply Update Operators
+ *
+ * Builds each matched record as an update with operators leaves it, and
+ * checks the values the operators set against the schema, foreign keys
+ * and unique attributes, as they will be once every record is updated.
+ *
+ * @param {String} collectionName
+ * @param {Array} records - the matched records
+ * @param {Object} values - the plain values of the update
+ * @param {Object} updateOperators
+ * @return {Object} - `{ results: [records] }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.applyOperators = function(collectionName, records, values, updateOperators) {
+  var self = this;
+  var schema = this.schema[collectionName] || {};
+  var pkAttrName = getPrimaryKey(schema);
+  var updatedIds = _.pluck(records, pkAttrName);
+  var changedAttrNames = [];
+  var results = [];
+  var error = null;
+
+  _.find(records, function(record) {
+    var applied = operators.apply(_.extend({}, record, _.cloneDeep(values)), updateOperators);
+    if (applied.errors) {
+      error = new ValidationError(applied.errors);
+      return true;
+    }
+
+    // Removed attributes are checked as missing
+    var changes = {};
+    applied.changed.forEach(function(attrName) {
+      changes[attrName] = applied.record[attrName];
+    });
+
+    var validationErrors = self.validate(collectionName, changes, true);
+    if (validationErrors.length) {
+      error = new ValidationError(validationErrors);
+      return true;
+    }
+    changes = _.omit(changes, _.isUndefined);
+    _.extend(applied.record, changes);
+
+    var foreignKeyViolations = self.enforceForeignKeys(collectionName, changes);
+    if (foreignKeyViolations.length) {
+      error = new ValidationError(foreignKeyViolations, 'E_FOREIGN_KEY');
+      return true;
+    }
+
+    // The records being updated are checked against each other below
+    var violations = self.enforceUniqueness(collectionName, _.omit(changes, pkAttrName), updatedIds);
+    if (violations.length) {
+      error = new UniquenessError(violations);
+      return true;
+    }
+
+    changedAttrNames = _.union(changedAttrNames, applied.changed);
+    results.push(applied.record);
+  });
+
+  if (error) return { error: error };
+
+  var violations = [];
+  changedAttrNames.forEach(function(attrName) {
+    if (!schema[attrName] || !schema[attrName].unique) return;
+
+    var seen = {};
+    results.forEach(function(record) {
+      var value = record[attrName];
+      if (_.isUndefined(value)) return;
+
+      // Report each value held more than once, once
+      var key = typeof value + ':' + value;
+      seen[key] = (seen[key] || 0) + 1;
+      if (seen[key] === 2) violations.push({ attribute: attrName, value: value, rule: 'unique' });
+    });
+  });
+
+  if (violations.length) return { error: new UniquenessError(violations) };
+
+  return { results: results };
+};
+
+/**
+ * Get the Version Attribute of a collection
+ *
+ * The attribute named by the collection's `versionAttribute` setting, or
+ * by the connection's if the collection has such an attribute. It is set
+ * to 1 on insert and bumped on every update.
+ *
+ * @param {String} collectionName
+ * @return {String} - or null if the collection isn't versioned
+ * @api private
+ */
+
+Database.prototype.getVersionAttribute = function(collectionName) {
+  var collection = this.collections[collectionName] || {};
+  if (collection.versionAttribute) return collection.versionAttribute;
+
+  var attrName = this.config.versionAttribute;
+  return attrName && (this.schema[collectionName] || {})[attrName] ? attrName : null;
+};
+
+/**
+ * Check Versions
+ *
+ * @param {String} collectionName
+ * @param {Array} records         - records about to be updated
+ * @param {Number} expected       - version they should all be at
+ * @return {Array} - a violation for each record at another version
+ * @api private
+ */
+
+Database.prototype.checkVersions = function(collectionName, records, expected) {
+  var versionAttrName = this.getVersionAttribute(collectionName);
+  var pkAttrName = getPrimaryKey(this.schema[collectionName]);
+
+  return _.compact(_.map(records, function(record) {
+    var actual = record[versionAttrName];
+    if (+actual === +expected) return;
+
+    var which = pkAttrName ? 'record `' + record[pkAttrName] + '`' : 'a record';
+    return {
+      attribute: versionAttrName,
+      value: expected,
+      actual: actual,
+      rule: 'version',
+      message: 'Expected ' + which + ' to be at version ' + expected + ', but it is at version ' + actual
+    };
+  }));
+};
+
+/**
+ * Get the Key Generator of an attribute
+ *
+ * Keys are generated for the attributes named in a collection's
+ * `keyGenerators` setting (i.e. `{ id: 'uuid' }`), for the primary key
+ * of every collection if the connection has a `keyGenerator`, and for
+ * `autoIncrement` attributes (counting from 1 by 1).
+ *
+ * @param {String} collectionName
+ * @param {String} attrName
+ * @param {Object} schema - the schema to go by, if not the collection's
+ *     current one (i.e. while migrating it)
+ * @return {Object} - as normalized by `keys.normalize`, or null
+ * @api private
+ */
+
+Database.prototype.getKeyGenerator = function(collectionName, attrName, schema) {
+  var collection = this.collections[collectionName] || {};
+  var attrDef = (schema || this.schema[collectionName] || {})[attrName] || {};
+
+  var generator = (collection.keyGenerators || {})[attrName] ||
+    (attrDef.primaryKey && this.config.keyGenerator) ||
+    (attrDef.autoIncrement && 'increment');
+
+  if (!generator) return null;
+
+  var normalized = keys.normalize(generator);
+  return normalized.error ? null : normalized;
+};
+
+/**
+ * Get the Primary Key Format of a collection
+ *
+ * @param {String} collectionName
+ * @return {String} - `integer` or `string`, as the adapter's `pkFormat`
+ * @api public
+ */
+
+Database.prototype.getPkFormat = function(collectionName) {
+  var pkAttrName = getPrimaryKey(this.schema[collectionName] || {});
+  var generator = pkAttrName && this.getKeyGenerator(collectionName, pkAttrName);
+
+  if (generator) return keys.formatOf(generator);
+  return pkAttrName && this.schema[collectionName][pkAttrName].type === 'string' ? 'string' : 'integer';
+};
+
+/**
+ * Serialize Values
+ *
+ * Serializes/Casts values before inserting.
+ *
+ * @param {String} collectionName
+ * @param {Object} values
+ * @param {Boolean} castStrings - cast strings to any attribute type, not
+ *     only `json`
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.serializeValues = function(collectionName, values, castStrings) {
+  var self = this;
+
+  Object.keys(values).forEach(function(key) {
+
+    // Check if a type exist in the schema
+    if(!self.schema[collectionName]) return;
+    if(!self.schema[collectionName].hasOwnProperty(key)) return;
+
+    var type = self.schema[collectionName][key].type,
+        val;
+
+    // Values read from text (i.e. imported) are strings whatever their type
+    if(castStrings && _.isString(values[key])) {
+      var cast = castValue(type, values[key]);
+      if(!cast.error) values[key] = cast.value;
+      return;
+    }
+
+    if(type === 'json') {
+      try {
+        val = JSON.parse(values[key]);
+      } catch(e) {
+        return;
+      }
+      values[key] = val;
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Validate
+ *
+ * When the connection is configured with `schema: true`, checks values
+ * against the collection schema (types, `required`, `enum`) and casts
+ * them to the attribute types, applying `defaultsTo` on insert.
+ *
+ * @param {String} collectionName
+ * @param {Object} values
+ * @param {Boolean} isUpdate
+ * @return {Array}
+ * @api private
+ */
+
+Database.prototype.validate = function(collectionName, values, isUpdate) {
+  if (this.config.schema !== true) return [];
+  return enforceSchema(this.schema[collectionName] || {}, values, isUpdate);
+};
+
+/**
+ * enforceUniqueness
+ *
+ * Enforces uniqueness constraint.
+ *
+ * Unique attributes are always indexed, so only the records holding
+ * a loosely-equal value are compared.
+ *
+ * @param {String} collectionName
+ * @param {Object} values           - attribute values for a single record
+ * @param {Array} updatedIds        - when updating the id is not necessarily included
+ *     in the values to update, the ids of the records that will be updated is used when
+ *     testing uniqueness of relevant attributes.
+ * @return {Object}
+ * @api private
+ */
+
+Database.prototype.enforceUniqueness = function(collectionName, values, updatedIds) {
 
   var errors = [];
 
+  var records = this.data[collectionName];
+  var indexes = this.getIndexes(collectionName);
+  if (!indexes) return errors;
+
   // Get the primary key attribute name, so as not to inadvertently check
   // uniqueness on something that doesn't matter.
   var pkAttrName = getPrimaryKey(this.schema[collectionName]);
@@ -449,23 +2682,29 @@ Database.prototype.enforceUniqueness = function(collectionName, values, updatedI
 
     if(!attrDef.unique) continue;
 
-    for (var index in this.data[collectionName]) {
+    // Ignore uniqueness check on undefined values
+    // (they shouldn't have been stored anyway)
+    if (_.isUndefined(values[attrName])) continue;
 
-      // Ignore uniqueness check on undefined values
-      // (they shouldn't have been stored anyway)
-      if (_.isUndefined(values[attrName])) continue;
+    var positions = indexes.lookup(attrName, values[attrName]) || _.range(records.length);
+
+    for (var i = 0; i < positions.length; i++) {
+      var index = positions[i];
 
       // Does it look like a "uniqueness violation"?
       if (values[attrName] === this.data[collectionName][index][attrName]) {
 
         // It isn't actually a uniqueness violation if the record(s)
-        // we're checking is the same as the record(s) we're updating/creating
-        if (_.isUndefined(values[pkAttrName])) {
-          if (updatedIds && updatedIds.indexOf(this.data[collectionName][index][pkAttrName]) > -1) {
-            continue; // Id was found in the list of records being updated.
+        // we're checking is the same as the record(s) we're updating
+        // (a record being created is never one of them)
+        if (updatedIds) {
+          if (_.isUndefined(values[pkAttrName])) {
+            if (updatedIds.indexOf(this.data[collectionName][index][pkAttrName]) > -1) {
+              continue; // Id was found in the list of records being updated.
+            }
+          } else if (values[pkAttrName] === this.data[collectionName][index][pkAttrName]) {
+            continue; // This is the data of the single record being updated.
           }
-        } else if (values[pkAttrName] === this.data[collectionName][index][pkAttrName]) {
-          continue; // This is the data of the single record being updated.
         }
 
         var uniquenessError = {
@@ -482,6 +2721,195 @@ Database.prototype.enforceUniqueness = function(collectionName, values, updatedI
   return errors;
 };
 
+/**
+ * Get Foreign Keys
+ *
+ * Lists the attributes of a collection referencing another collection,
+ * either through a `model` association or, for join tables, `references`.
+ * Each comes with the attribute it points to (`on`) and what to do with
+ * the referencing records when the referenced ones are destroyed
+ * (`onDelete`): the attribute's `onDelete`, or the connection's, or
+ * `restrict` (`cascade` for join tables).
+ *
+ * @param {String} collectionName
+ * @return {Array}
+ * @api private
+ */
+
+Database.prototype.getForeignKeys = function(collectionName) {
+  var self = this;
+  var collection = this.collections[collectionName] || {};
+  var attributes = collection.attributes || {};
+  var isJunctionTable = !!(collection.meta && collection.meta.junctionTable);
+
+  var foreignKeys = [];
+
+  _.each(this.schema[collectionName], function(attrDef, attrName) {
+    var references = attrDef.model || (attrDef.foreignKey && attrDef.references);
+    if (!references) return;
+
+    var onDelete = attrDef.onDelete || (attributes[attrName] || {}).onDelete ||
+      (isJunctionTable ? 'cascade' : self.config.onDelete || 'restrict');
+
+    foreignKeys.push({
+      collectionName: collectionName,
+      attribute: attrName,
+      references: references,
+      on: attrDef.on || self.getPKField(references) || 'id',
+      onDelete: onDelete.toLowerCase().replace(/\s/g, '')
+    });
+  });
+
+  return foreignKeys;
+};
+
+/**
+ * Get Referrers
+ *
+ * Lists the foreign keys, in any collection, referencing a collection.
+ *
+ * @param {String} collectionName
+ * @return {Array}
+ * @api private
+ */
+
+Database.prototype.getReferrers = function(collectionName) {
+  var self = this;
+
+  return _.flatten(_.map(Object.keys(this.schema), function(name) {
+    return _.where(self.getForeignKeys(name), { references: collectionName });
+  }));
+};
+
+/**
+ * enforceForeignKeys
+ *
+ * When the connection is configured with `foreignKeys: true`, checks that
+ * the foreign keys set in `values` point to existing records. Collections
+ * living on other connections can't be checked and are skipped.
+ *
+ * @param {String} collectionName
+ * @param {Object} values
+ * @return {Array}
+ * @api private
+ */
+
+Database.prototype.enforceForeignKeys = function(collectionName, values) {
+  var self = this;
+  var errors = [];
+
+  if (!this.config.foreignKeys) return errors;
+
+  this.getForeignKeys(collectionName).forEach(function(foreignKey) {
+    var value = values[foreignKey.attribute];
+
+    if (_.isUndefined(value) || value === null) return;
+    if (!self.data[foreignKey.references]) return;
+
+    var where = {};
+    where[foreignKey.on] = value;
+    if (self.query(foreignKey.references, { where: where }).results.length) return;
+
+    errors.push({
+      attribute: foreignKey.attribute,
+      value: value,
+      rule: 'foreignKey',
+      message: '`' + foreignKey.attribute + '` references a `' + foreignKey.references + '` record that does not exist'
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Destroy Referenced Records
+ *
+ * Destroys records along with the records referencing them, following
+ * the `onDelete` rule of each foreign key:
+ *
+ *   - `restrict`: refuse to destroy records which are still referenced
+ *   - `cascade`: destroy the referencing records too
+ *   - `set null`: set the foreign key of the referencing records to null
+ *
+ * Nothing is destroyed or changed if any of this fails.
+ *
+ * @param {String} collectionName
+ * @param {Object} resultSet - as sent back by `query`
+ * @param {Array} referrers  - as sent back by `getReferrers`
+ * @return {Object} - `{ results: ... }` or `{ error: ... }`
+ * @api private
+ */
+
+Database.prototype.destroyReferenced = function(collectionName, resultSet, referrers) {
+  var self = this;
+
+  var backup = this.backup(Object.keys(this.data));
+  this.holdWrites();
+
+  var outcome = (function() {
+
+    // Criteria matching the records referencing the destroyed ones
+    function referencing(foreignKey) {
+      var keys = _.filter(_.pluck(resultSet.results, foreignKey.on), function(key) {
+        return !_.isUndefined(key) && key !== null;
+      });
+
+      var where = {};
+      where[foreignKey.attribute] = keys;
+      return { where: where };
+    }
+
+    var restricted = _.find(referrers, function(foreignKey) {
+      if (foreignKey.onDelete !== 'restrict') return false;
+      if (!self.data[foreignKey.collectionName]) return false;
+
+      var referencingSet = self.query(foreignKey.collectionName, referencing(foreignKey));
+
+      // Records referencing each other can be destroyed together
+      if (foreignKey.collectionName === collectionName) {
+        return _.difference(referencingSet.indices, resultSet.indices).length > 0;
+      }
+
+      return referencingSet.results.length > 0;
+    });
+
+    if (restricted) {
+      var error = new Error('Cannot destroy `' + collectionName + '` records still referenced by `' +
+        restricted.collectionName + '.' + restricted.attribute + '`');
+      error.code = 'E_FOREIGN_KEY';
+      return { error: error };
+    }
+
+    var removed = self.removeRecords(collectionName, resultSet);
+
+    for (var i = 0; i < referrers.length; i++) {
+      var foreignKey = referrers[i];
+      var referrerOutcome;
+
+      if (!self.data[foreignKey.collectionName]) continue;
+
+      if (foreignKey.onDelete === 'cascade') {
+        referrerOutcome = self.destroyRecords(foreignKey.collectionName, referencing(foreignKey));
+      } else if (foreignKey.onDelete === 'setnull') {
+        var values = {};
+        values[foreignKey.attribute] = null;
+        referrerOutcome = self.updateRecords(foreignKey.collectionName, referencing(foreignKey), values);
+      } else {
+        continue;
+      }
+
+      if (referrerOutcome.error) return referrerOutcome;
+    }
+
+    return removed;
+  })();
+
+  if (outcome.error) this.restore(backup);
+  this.releaseWrites(!outcome.error);
+
+  return outcome;
+};
+
 /**
  * @param  {String} collectionIdentity
  * @return {String}
@@ -508,6 +2936,33 @@ function getPrimaryKey (schema) {
   return pkAttrName;
 }
 
+/**
+ * Hash a value the way `where` compares it, so the values a criteria
+ * would find equal share the same key
+ *
+ * @param {*} value
+ * @return {String}
+ * @api private
+ */
+
+function joinKey (value) {
+  if (_.isDate(value)) return value.toISOString();
+  if (_.isString(value)) return value.toLowerCase();
+  return String(value);
+}
+
+/**
+ * Whether a key holds a value records can be linked by
+ *
+ * @param {*} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isPresent (value) {
+  return value !== null && value !== undefined;
+}
+
 /**
  * Given an array of errors, create a WLValidationError-compatible
  * error definition.
@@ -554,3 +3009,80 @@ function UniquenessError ( errors ) {
   return validationError;
 
 }
+
+/**
+ * Given an array of schema (or foreign key) violations, create
+ * a WLValidationError-compatible error definition.
+ *
+ * @param {Array} errors
+ * @param {String} code   - defaults to `E_VALIDATION`
+ * @constructor
+ * @api private
+ */
+function ValidationError ( errors, code ) {
+
+  // Group errors by attribute, as `UniquenessError` does
+  errors = _.groupBy(errors, 'attribute');
+  errors = _.mapValues(errors, function (errs) {
+    return _.map(errs, function (err) {
+      return _.omit(err, 'attribute');
+    });
+  });
+
+  return {
+    code: code || 'E_VALIDATION',
+    invalidAttributes: errors
+  };
+
+}
+
+/**
+ * Build the error of a connection over its memory budget.
+ *
+ * @param {Number} bytes
+ * @param {Number} budget
+ * @constructor
+ * @api private
+ */
+function BudgetError ( bytes, budget ) {
+
+  var budgetError = new Error('Memory budget exceeded: the connection holds an estimated ' + bytes +
+    ' bytes, over its budget of ' + budget + ' bytes');
+  budgetError.code = 'E_MEMORY_BUDGET';
+  budgetError.bytes = bytes;
+  budgetError.budget = budget;
+
+  return budgetError;
+}
+
+/**
+ * Wrap an error raised while inserting a seed record, naming the
+ * collection and record it came from.
+ *
+ * @param {String} collectionName
+ * @param {Number} index           - position of the record in the seed data
+ * @param {Object} error
+ * @constructor
+ * @api private
+ */
+function SeedError ( collectionName, index, error ) {
+
+  var reason = error.message;
+
+  // Validation errors carry their details in `invalidAttributes`
+  if (error.invalidAttributes) {
+    reason = _.map(error.invalidAttributes, function (rules, attrName) {
+      return _.map(rules, function (rule) {
+        return '`' + attrName + '` violates the `' + rule.rule + '` rule (value: ' + JSON.stringify(rule.value) + ')';
+      }).join(', ');
+    }).join(', ');
+  }
+
+  var seedError = new Error('Could not seed collection `' + collectionName + '`: record #' + index + ' ' + reason);
+  seedError.code = error.code;
+  seedError.invalidAttributes = error.invalidAttributes;
+  seedError.collection = collectionName;
+  seedError.index = index;
+
+  return seedError;
+}
@@ -0,0 +1,117 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Fault Injection for a Connection
+ *
+ * Slows down and fails adapter methods (`find`, `create`, `update`,
+ * `destroy`, `join`, `define`, `describe`, `drop`), following these
+ * options:
+ *
+ *   - `latency`: milliseconds to wait before calling back, either a number
+ *     or a `[min, max]` range, for every method or by method name
+ *     (i.e. `{ find: 20, create: [5, 50] }`)
+ *   - `errorRate`: probability (0 to 1) of failing, for every method or
+ *     by method name
+ *   - `failures`: scripted failures, each `{ method, collection, call,
+ *     error }`: the `call`th call (counting from 1, every call if
+ *     omitted) of `method` on `collection` (any if omitted) fails, with
+ *     `error` if given
+ *   - `random`: replaces `Math.random`, to make latency and error rates
+ *     predictable
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+var Faults = module.exports = function(options) {
+  this.configure(options);
+  return this;
+};
+
+/**
+ * Configure
+ *
+ * Replace every option, and start counting calls again.
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+Faults.prototype.configure = function(options) {
+  options = options || {};
+
+  this.latency = options.latency || 0;
+  this.errorRate = options.errorRate || 0;
+  this.failures = options.failures || [];
+  this.random = options.random || Math.random;
+
+  // Hold the number of calls made to each method, by collection
+  this.calls = {};
+};
+
+/**
+ * Decide what happens to a call
+ *
+ * @param {String} method
+ * @param {String} collectionName
+ * @return {Object} - `{ delay, error }`, `error` being null unless the
+ *     call should fail
+ * @api public
+ */
+
+Faults.prototype.decide = function(method, collectionName) {
+  var key = method + ':' + collectionName;
+  var call = this.calls[key] = (this.calls[key] || 0) + 1;
+
+  var failure = _.find(this.failures, function(failure) {
+    return failure.method === method &&
+      (!failure.collection || failure.collection === collectionName) &&
+      (!failure.call || failure.call === call);
+  });
+
+  var error = null;
+  if (failure) error = failure.error || faultError(method, collectionName, call);
+  else if (this.random() < forMethod(this.errorRate, method)) error = faultError(method, collectionName, call);
+
+  var latency = forMethod(this.latency, method);
+  var delay = _.isArray(latency) ?
+    Math.round(latency[0] + this.random() * (latency[1] - latency[0])) :
+    latency;
+
+  return { delay: delay, error: error };
+};
+
+/**
+ * Pick the setting of a method
+ *
+ * @param {*} setting - a value, or an object of values by method name
+ * @param {String} method
+ * @return {*}
+ * @api private
+ */
+
+function forMethod(setting, method) {
+  if (_.isPlainObject(setting)) return setting[method] || 0;
+  return setting;
+}
+
+/**
+ * Build the error of an injected fault
+ *
+ * @param {String} method
+ * @param {String} collectionName
+ * @param {Number} call
+ * @return {Error}
+ * @api private
+ */
+
+function faultError(method, collectionName, call) {
+  var error = new Error('Injected fault: call #' + call + ' to `' + method + '` on `' + collectionName + '`');
+  error.code = 'E_FAULT';
+  return error;
+}
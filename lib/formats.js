@@ -0,0 +1,166 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * File Formats records are exported to and imported from
+ *
+ *   - `json`: an array of records
+ *   - `ndjson`: one record per line
+ *   - `csv`: a header line naming the attributes, then one line per
+ *     record. Dates are written as ISO strings, arrays and objects as
+ *     JSON, and `null` as an empty field. Every value is read back as a
+ *     string (empty fields being left out), so it has to be cast to the
+ *     attribute types.
+ */
+
+exports.FORMATS = ['json', 'ndjson', 'csv'];
+
+/**
+ * Serialize Records
+ *
+ * @param {String} format
+ * @param {Array} records
+ * @param {Array} attrNames - the attributes to start CSV lines with, in order
+ * @return {String}
+ * @api public
+ */
+
+exports.serialize = function(format, records, attrNames) {
+  switch(format) {
+    case 'json':
+      return JSON.stringify(records, null, 2) + '\n';
+
+    case 'ndjson':
+      return records.map(function(record) {
+        return JSON.stringify(record) + '\n';
+      }).join('');
+
+    case 'csv':
+      var columns = _.union(attrNames || [], _.flatten(records.map(_.keys)));
+      return [columns].concat(records.map(function(record) {
+        return columns.map(function(column) {
+          return csvField(record[column]);
+        });
+      })).map(function(fields) {
+        return fields.join(',') + '\r\n';
+      }).join('');
+  }
+};
+
+/**
+ * Parse Records
+ *
+ * @param {String} format
+ * @param {String} text
+ * @return {Array}
+ * @api public
+ */
+
+exports.parse = function(format, text) {
+  switch(format) {
+    case 'json':
+      var records = JSON.parse(text);
+      if(!Array.isArray(records)) throw new Error('Expected an array of records');
+      return records;
+
+    case 'ndjson':
+      return _.compact(text.split('\n').map(function(line, i) {
+        if(!line.trim()) return null;
+        try {
+          return JSON.parse(line);
+        } catch(e) {
+          throw new Error('Line ' + (i + 1) + ': ' + e.message);
+        }
+      }));
+
+    case 'csv':
+      var rows = parseCsv(text);
+      var columns = rows.shift() || [];
+      return rows.map(function(row) {
+        var record = {};
+        columns.forEach(function(column, i) {
+          if(row[i] !== undefined && row[i] !== '') record[column] = row[i];
+        });
+        return record;
+      });
+  }
+};
+
+/**
+ * Write a value as a CSV field, quoted if needed
+ *
+ * @param {*} value
+ * @return {String}
+ * @api private
+ */
+
+function csvField(value) {
+  if(_.isUndefined(value) || value === null) return '';
+  if(_.isDate(value)) value = value.toISOString();
+  else if(_.isObject(value)) value = JSON.stringify(value);
+  else value = String(value);
+
+  if(!/[",\r\n]/.test(value)) return value;
+  return '"' + value.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Split CSV text into rows of fields
+ *
+ * Quoted fields may hold commas, line breaks and doubled quotes.
+ *
+ * @param {String} text
+ * @return {Array}
+ * @api private
+ */
+
+function parseCsv(text) {
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+
+  for(var i = 0; i < text.length; i++) {
+    var c = text[i];
+
+    if(quoted) {
+      if(c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if(c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if(c === '"') {
+      quoted = true;
+    } else if(c === ',') {
+      row.push(field);
+      field = '';
+    } else if(c === '\n' || c === '\r') {
+      if(c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if(field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines hold no record
+  return _.reject(rows, function(fields) {
+    return fields.length === 1 && fields[0] === '';
+  });
+}
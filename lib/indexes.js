@@ -0,0 +1,224 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var X_ISO_DATE = require('waterline-criteria/lib/X_ISO_DATE.constant');
+
+/**
+ * Hash Indexes for a Collection
+ *
+ * Maps the values of the primary key, `unique` attributes and attributes
+ * marked `index: true` to the positions of the records holding them.
+ *
+ * Waterline criteria compare values loosely (`'5'` matches `5`, strings
+ * are matched regardless of case, ...), so values are hashed to a key that
+ * any loosely-equal value shares. A lookup can therefore return records
+ * that don't actually match: it only narrows down the records the criteria
+ * (or the uniqueness check) still have to be run against. Values that
+ * can't be hashed this way (arrays, objects) are kept aside and always
+ * returned as candidates.
+ *
+ * The indexes belong to one array of records and one schema. Positions are
+ * kept up to date as records are added or replaced; anything else (records
+ * removed, the array or schema replaced) means building new indexes.
+ *
+ * @param {Array} records
+ * @param {Object} schema
+ * @return {Object}
+ * @api public
+ */
+
+var Indexes = module.exports = function(records, schema) {
+  var self = this;
+
+  this.records = records;
+  this.schema = schema;
+
+  // Hold `{ buckets: { key: [positions] }, others: [positions] }`
+  // for each indexed attribute
+  this.attributes = {};
+
+  _.each(schema, function(attrDef, attrName) {
+    if(!attrDef.primaryKey && !attrDef.unique && !attrDef.index) return;
+    self.attributes[attrName] = { buckets: {}, others: [] };
+  });
+
+  records.forEach(function(record, position) {
+    self.add(position, record);
+  });
+
+  return this;
+};
+
+/**
+ * Index a record
+ *
+ * @param {Number} position
+ * @param {Object} record
+ * @api public
+ */
+
+Indexes.prototype.add = function(position, record) {
+  _.each(this.attributes, function(index, attrName) {
+    var keys = hashKeys(record[attrName]);
+
+    if(!keys) return index.others.push(position);
+
+    keys.forEach(function(key) {
+      (index.buckets[key] = index.buckets[key] || []).push(position);
+    });
+  });
+};
+
+/**
+ * Re-index a record replaced at the same position
+ *
+ * @param {Number} position
+ * @param {Object} previousRecord
+ * @param {Object} record
+ * @api public
+ */
+
+Indexes.prototype.replace = function(position, previousRecord, record) {
+  _.each(this.attributes, function(index, attrName) {
+    if(previousRecord[attrName] === record[attrName]) return;
+
+    var previousKeys = hashKeys(previousRecord[attrName]);
+
+    if(!previousKeys) {
+      index.others = _.without(index.others, position);
+    } else {
+      previousKeys.forEach(function(key) {
+        index.buckets[key] = _.without(index.buckets[key], position);
+        if(!index.buckets[key].length) delete index.buckets[key];
+      });
+    }
+
+    var keys = hashKeys(record[attrName]);
+
+    if(!keys) return index.others.push(position);
+
+    keys.forEach(function(key) {
+      (index.buckets[key] = index.buckets[key] || []).push(position);
+    });
+  });
+};
+
+/**
+ * Look up the positions of records which may hold `value`
+ *
+ * @param {String} attrName
+ * @param {*} value
+ * @return {Array} - positions, or null if the attribute or value can't
+ *     be looked up
+ * @api public
+ */
+
+Indexes.prototype.lookup = function(attrName, value) {
+  var index = this.attributes[attrName];
+  if(!index) return null;
+
+  var keys = hashKeys(value);
+  if(!keys) return null;
+
+  var positions = index.others;
+  keys.forEach(function(key) {
+    positions = positions.concat(index.buckets[key] || []);
+  });
+
+  return keys.length > 1 ? _.uniq(positions) : positions;
+};
+
+/**
+ * Plan a query
+ *
+ * Finds the fewest records a `where` clause needs to be run against,
+ * using equality and `in` conditions on indexed attributes.
+ *
+ * @param {Object} where
+ * @return {Array} - positions in ascending order, or null if no index
+ *     can be used
+ * @api public
+ */
+
+Indexes.prototype.plan = function(where) {
+  var self = this;
+  var best = null;
+
+  _.each(where, function(criterion, attrName) {
+    if(!self.attributes[attrName]) return;
+
+    // Date attributes are compared after parsing, which hashing can't follow
+    var type = self.schema[attrName].type;
+    if(type === 'date' || type === 'datetime') return;
+
+    var values = _.isArray(criterion) ? criterion : [criterion];
+    var positions = [];
+
+    var usable = _.every(values, function(value) {
+      var found = self.lookup(attrName, value);
+      if(!found) return false;
+
+      positions = positions.concat(found);
+      return true;
+    });
+
+    if(!usable) return;
+    if(!best || positions.length < best.length) best = positions;
+  });
+
+  if(!best) return null;
+
+  // Keep the records in their stored order
+  return _.uniq(best).sort(function(a, b) { return a - b; });
+};
+
+/**
+ * Stats
+ *
+ * @return {Object} - `{ keys, entries }` for each indexed attribute: the
+ *     number of distinct keys, and of positions held
+ * @api public
+ */
+
+Indexes.prototype.stats = function() {
+  return _.mapValues(this.attributes, function(index) {
+    return {
+      keys: Object.keys(index.buckets).length,
+      entries: _.sum(index.buckets, 'length') + index.others.length
+    };
+  });
+};
+
+/**
+ * Hash a value to the keys of every value it loosely equals
+ *
+ * @param {*} value
+ * @return {Array} - keys, or null if the value can't be hashed
+ * @api private
+ */
+
+function hashKeys(value) {
+
+  // Missing values compare as an empty string, which equals 0
+  if(_.isUndefined(value) || value === null) return ['n0'];
+
+  if(_.isDate(value)) return ['d' + value.getTime()];
+
+  // `true` equals 1 as a number and 'true' as a string
+  if(_.isBoolean(value)) return value ? ['n1', 'strue'] : ['sfalse'];
+
+  if(_.isNumber(value)) return ['n' + value];
+
+  if(_.isString(value)) {
+    if(!isNaN(+value)) return ['n' + (+value)];
+
+    // Date-like strings equal Dates as well as other strings
+    var keys = ['s' + value.toLowerCase()];
+    if(value.match(X_ISO_DATE)) keys.push('d' + new Date(value).getTime());
+    return keys;
+  }
+
+  return null;
+}
@@ -0,0 +1,257 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var http = require('http');
+var url = require('url');
+
+/**
+ * An HTTP Inspector for the connections of an adapter
+ *
+ * Serves JSON:
+ *
+ *   GET    /                                 connections
+ *   GET    /:connection                      collections, with their counts
+ *   GET    /:connection/:collection          schema, counters and count
+ *   GET    /:connection/:collection/records  records, filtered and paged by
+ *                                            `where`, `sort` (JSON), `limit`
+ *                                            (50 by default) and `skip`
+ *   POST   /:connection/:collection/records  create a record
+ *   GET    /:connection/:collection/records/:id
+ *   PATCH  /:connection/:collection/records/:id  update a record
+ *   DELETE /:connection/:collection/records/:id  destroy a record
+ *
+ * Writes go through the Database like any other, so they are validated,
+ * journaled and reported to the change feed. They need a
+ * `Content-Type: application/json` header.
+ *
+ * @param {Function} grabConnection  - looks up the Database of a connection
+ * @param {Function} connectionNames - lists the connections
+ * @return {Object}
+ * @api public
+ */
+
+var Inspector = module.exports = function(grabConnection, connectionNames) {
+  this.grabConnection = grabConnection;
+  this.connectionNames = connectionNames;
+  this.server = null;
+
+  return this;
+};
+
+/**
+ * Listen on `port` (1338 by default) and `host` (localhost by default)
+ *
+ * The server doesn't keep the process alive.
+ *
+ * @param {Object} options
+ * @param {Function} cb
+ * @api public
+ */
+
+Inspector.prototype.listen = function(options, cb) {
+  var self = this;
+
+  this.server = http.createServer(function(req, res) {
+    self.handle(req, function(status, body) {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body, null, 2));
+    });
+  });
+
+  this.server.once('error', cb);
+  this.server.listen(options.port || 1338, options.host || 'localhost', function() {
+    self.server.removeListener('error', cb);
+    self.server.unref();
+    cb(null, self);
+  });
+};
+
+/**
+ * Handle a request
+ *
+ * @param {Object} req
+ * @param {Function} reply - called with a status and a body
+ * @api private
+ */
+
+Inspector.prototype.handle = function(req, reply) {
+  var self = this;
+  var location = url.parse(req.url, true);
+  var segments;
+
+  try {
+    segments = _.compact(location.pathname.split('/')).map(decodeURIComponent);
+  } catch(e) {
+    return reply(400, { error: 'Could not decode the path: ' + e.message });
+  }
+
+  if (!segments.length) return reply(200, { connections: this.connectionNames() });
+
+  var database = this.grabConnection(segments[0]);
+  if (!database || !database.data) return reply(404, { error: 'No connection named `' + segments[0] + '`' });
+
+  if (segments.length === 1) {
+    return reply(200, {
+      collections: _.mapValues(database.data, function(records) {
+        return { count: records.length };
+      })
+    });
+  }
+
+  var collectionName = segments[1];
+  if (!database.data[collectionName]) return reply(404, { error: 'No collection named `' + collectionName + '`' });
+
+  if (segments.length === 2) {
+    return reply(200, {
+      schema: database.schema[collectionName],
+      counters: database.counters[collectionName],
+      count: database.data[collectionName].length
+    });
+  }
+
+  if (segments[2] !== 'records' || segments.length > 4) return reply(404, { error: 'Not found' });
+
+  // Browsers only send JSON to another origin once it allows them to, so
+  // other pages can't write records through a plain form post
+  if (req.method !== 'GET' && req.method !== 'HEAD' && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    return reply(415, { error: 'Writes need a `Content-Type: application/json` header' });
+  }
+
+  readBody(req, function(err, body) {
+    if (err) return reply(400, { error: 'Could not parse the body as JSON: ' + err.message });
+
+    if (segments.length === 3) {
+      if (req.method === 'GET') return self.list(database, collectionName, location.query, reply);
+      if (req.method === 'POST') return database.insert(collectionName, body, respond(reply, 201));
+      return reply(405, { error: 'Method not allowed' });
+    }
+
+    var options = { where: {} };
+    options.where[database.getPKField(collectionName)] = segments[3];
+
+    var found = respond(reply, 200, true);
+    if (req.method === 'GET') return database.select(collectionName, options, found);
+    if (req.method === 'PATCH' || req.method === 'PUT') return database.update(collectionName, options, body, found);
+    if (req.method === 'DELETE') return database.destroy(collectionName, options, found);
+    reply(405, { error: 'Method not allowed' });
+  });
+};
+
+/**
+ * List a page of records
+ *
+ * @param {Object} database
+ * @param {String} collectionName
+ * @param {Object} query - `where`, `sort`, `limit` and `skip`
+ * @param {Function} reply
+ * @api private
+ */
+
+Inspector.prototype.list = function(database, collectionName, query, reply) {
+  var criteria;
+
+  try {
+    criteria = {
+      where: query.where ? JSON.parse(query.where) : {},
+      limit: query.limit ? +query.limit : 50,
+      skip: query.skip ? +query.skip : 0
+    };
+    if (query.sort) criteria.sort = JSON.parse(query.sort);
+  } catch(e) {
+    return reply(400, { error: 'Could not parse the criteria as JSON: ' + e.message });
+  }
+
+  database.select(collectionName, { where: criteria.where }, function(err, matching) {
+    if (err) return reply(errorStatus(err), errorBody(err));
+
+    database.select(collectionName, criteria, function(err, records) {
+      if (err) return reply(errorStatus(err), errorBody(err));
+
+      reply(200, { total: matching.length, skip: criteria.skip, limit: criteria.limit, records: records });
+    });
+  });
+};
+
+/**
+ * Stop serving
+ *
+ * @param {Function} cb
+ * @api public
+ */
+
+Inspector.prototype.close = function(cb) {
+  this.server.close(cb);
+};
+
+/**
+ * Build the callback of a Database method replying to a request
+ *
+ * @param {Function} reply
+ * @param {Number} status
+ * @param {Boolean} single - reply with the one record found, or a 404
+ * @return {Function}
+ * @api private
+ */
+
+function respond(reply, status, single) {
+  return function(err, results) {
+    if (err) return reply(errorStatus(err), errorBody(err));
+    if (!single) return reply(status, results);
+    if (!results.length) return reply(404, { error: 'Record not found' });
+    reply(status, results[0]);
+  };
+}
+
+/**
+ * Status of an error: 400 for constraint violations, 500 otherwise
+ *
+ * @param {Object} err
+ * @return {Number}
+ * @api private
+ */
+
+function errorStatus(err) {
+  return err.invalidAttributes || /^E_/.test(err.code) ? 400 : 500;
+}
+
+/**
+ * Body of an error
+ *
+ * @param {Object} err
+ * @return {Object}
+ * @api private
+ */
+
+function errorBody(err) {
+  return _.extend({ error: err.message || err.code }, _.pick(err, 'code', 'invalidAttributes'));
+}
+
+/**
+ * Read the JSON body of a request
+ *
+ * @param {Object} req
+ * @param {Function} cb
+ * @api private
+ */
+
+function readBody(req, cb) {
+  var body = '';
+
+  req.setEncoding('utf8');
+  req.on('data', function(chunk) {
+    body += chunk;
+  });
+  req.on('end', function() {
+    if (!body) return cb(null, {});
+
+    var parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch(e) {
+      return cb(e);
+    }
+    cb(null, parsed);
+  });
+}
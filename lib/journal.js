@@ -0,0 +1,218 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * A Journal keeping an In-Memory Datastore on disk
+ *
+ * The datastore is kept in two files: a snapshot of every collection's
+ * records, counters and schema at `filePath`, and an append-only log of
+ * the writes made since that snapshot at `filePath + '.log'`. Compacting
+ * writes a new snapshot and empties the log.
+ *
+ * Every entry is numbered, and the snapshot remembers the number of the
+ * last entry it includes, so entries left in the log by a compaction that
+ * didn't finish are not applied twice.
+ *
+ * @param {String} filePath
+ * @return {Object}
+ * @api public
+ */
+
+var Journal = module.exports = function(filePath) {
+
+  this.filePath = path.resolve(filePath);
+  this.logPath = this.filePath + '.log';
+
+  // Number of the last entry written
+  this.sequence = 0;
+
+  // Number of entries in the log
+  this.size = 0;
+
+  return this;
+};
+
+/**
+ * Load the datastore from disk
+ *
+ * @return {Object} - `{ results: state }` where `state` holds `data`,
+ *     `counters` and `schema`, or is null if nothing was stored yet;
+ *     `{ error: ... }` if the files can't be read.
+ * @api public
+ */
+
+Journal.prototype.load = function() {
+  var self = this;
+
+  var state = { data: {}, counters: {}, schema: {} };
+  var found = false;
+
+  try {
+    if(fs.existsSync(this.filePath)) {
+      var snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      state.data = snapshot.data || {};
+      state.counters = snapshot.counters || {};
+      state.schema = snapshot.schema || {};
+      this.sequence = snapshot.sequence || 0;
+      found = true;
+    }
+
+    if(fs.existsSync(this.logPath)) {
+      var lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+
+      lines.forEach(function(line, i) {
+        if(!line) return;
+
+        var entry;
+        try {
+          entry = JSON.parse(line);
+        } catch(e) {
+          // A torn last line is a write that never completed, skip it
+          if(i >= lines.length - 2) return;
+          throw e;
+        }
+
+        if(entry.sequence <= self.sequence) return;
+
+        applyEntry(state, entry);
+        self.sequence = entry.sequence;
+        self.size++;
+        found = true;
+      });
+    }
+  } catch(e) {
+    return { error: new Error('Could not load datastore from `' + this.filePath + '`: ' + e.message) };
+  }
+
+  if(!found) return { results: null };
+
+  reviveDates(state);
+  return { results: state };
+};
+
+/**
+ * Append an entry to the log
+ *
+ * Entries look like `{ op: 'insert'|'update'|'destroy'|'set'|'define'|'drop',
+ * collection: ... }` plus the data needed to redo the write.
+ *
+ * @param {Object} entry
+ * @api public
+ */
+
+Journal.prototype.append = function(entry) {
+  entry = _.extend({ sequence: ++this.sequence }, entry);
+  fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+  this.size++;
+};
+
+/**
+ * Compact
+ *
+ * Write a snapshot of the whole datastore and empty the log.
+ *
+ * @param {Object} state - `data`, `counters` and `schema` of the datastore
+ * @api public
+ */
+
+Journal.prototype.compact = function(state) {
+  var tmpPath = this.filePath + '.tmp';
+
+  fs.writeFileSync(tmpPath, JSON.stringify({
+    sequence: this.sequence,
+    data: state.data,
+    counters: state.counters,
+    schema: state.schema
+  }));
+  fs.renameSync(tmpPath, this.filePath);
+  fs.writeFileSync(this.logPath, '');
+
+  this.size = 0;
+};
+
+/**
+ * Turn the values of `date` and `datetime` attributes back into Dates,
+ * JSON having stored them as strings
+ *
+ * @param {Object} state
+ * @api private
+ */
+
+function reviveDates(state) {
+  _.each(state.data, function(records, collectionName) {
+    var attrNames = _.keys(_.pick(state.schema[collectionName], function(attribute) {
+      return attribute && (attribute.type === 'date' || attribute.type === 'datetime');
+    }));
+    if(!attrNames.length) return;
+
+    records.forEach(function(record) {
+      attrNames.forEach(function(attrName) {
+        if(!_.isString(record[attrName])) return;
+
+        var date = new Date(record[attrName]);
+        if(!isNaN(date.getTime())) record[attrName] = date;
+      });
+    });
+  });
+}
+
+/**
+ * Redo a logged write against a loaded state
+ *
+ * @param {Object} state
+ * @param {Object} entry
+ * @api private
+ */
+
+function applyEntry(state, entry) {
+  var collectionName = entry.collection;
+  var records = state.data[collectionName] || [];
+
+  switch(entry.op) {
+    case 'insert':
+      state.data[collectionName] = records.concat(entry.records);
+      break;
+
+    case 'update':
+      // Records are found by the key they had before the update (older
+      // entries only hold the records, by their key after it)
+      var updated = _.indexBy(entry.records, function(record, i) {
+        return entry.values ? entry.values[i] : record[entry.key];
+      });
+      state.data[collectionName] = _.map(records, function(record) {
+        return updated[record[entry.key]] || record;
+      });
+      break;
+
+    case 'destroy':
+      state.data[collectionName] = _.reject(records, function(record) {
+        return _.includes(entry.values, record[entry.key]);
+      });
+      break;
+
+    case 'set':
+      state.data[collectionName] = entry.records;
+      break;
+
+    case 'define':
+      state.data[collectionName] = records;
+      state.schema[collectionName] = entry.schema;
+      state.counters[collectionName] = state.counters[collectionName] || {};
+      break;
+
+    case 'drop':
+      [collectionName].concat(entry.relations || []).forEach(function(name) {
+        delete state.data[name];
+        delete state.schema[name];
+      });
+      break;
+  }
+
+  if(entry.counters) state.counters[collectionName] = entry.counters;
+}
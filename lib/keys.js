@@ -0,0 +1,142 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+// Crockford's base 32, as used by ULIDs
+var ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// URL-safe alphabet, as used by nanoid
+var NANOID_ALPHABET = 'ModuleSymbhasOwnPr-0123456789ABCDEFGHNRVfgctiUvz_KqYTJkLxpZXIjQW';
+
+// Last ULID generated, to keep ULIDs generated in the same millisecond
+// in order
+var lastUlid = { time: -1, random: null };
+
+/**
+ * Normalize a Key Generator
+ *
+ * Generators are given as a name (`increment`, `uuid`, `ulid`, `nanoid`)
+ * or an object with a `type` and options: `{ type: 'sequence', start, step }`
+ * for integer sequences, `{ type: 'nanoid', size }` for nanoids.
+ *
+ * @param {String|Object} generator
+ * @return {Object} - `{ type, start, step, size }`, or an `{ error }`
+ *     if the generator is unknown
+ * @api public
+ */
+
+exports.normalize = function(generator) {
+  if(_.isString(generator)) generator = { type: generator };
+
+  var type = generator.type === 'increment' ? 'sequence' : generator.type;
+
+  if(!_.includes(['sequence', 'uuid', 'ulid', 'nanoid'], type)) {
+    return { error: new Error('Unknown key generator `' + generator.type + '`') };
+  }
+
+  return {
+    type: type,
+    start: _.isNumber(generator.start) ? generator.start : 1,
+    step: _.isNumber(generator.step) ? generator.step : 1,
+    size: generator.size || 21
+  };
+};
+
+/**
+ * Format of the keys made by a generator
+ *
+ * @param {Object} generator - as normalized
+ * @return {String} - `integer` or `string`
+ * @api public
+ */
+
+exports.formatOf = function(generator) {
+  return generator.type === 'sequence' ? 'integer' : 'string';
+};
+
+/**
+ * Generate a Key
+ *
+ * Sequences are generated from the last value handed out, others from
+ * scratch.
+ *
+ * @param {Object} generator - as normalized
+ * @param {Number} last      - last value of a sequence, if any
+ * @param {Number} now       - current time in milliseconds, for ULIDs
+ * @return {Number|String}
+ * @api public
+ */
+
+exports.generate = function(generator, last, now) {
+  switch(generator.type) {
+    case 'sequence': return _.isUndefined(last) ? generator.start : last + generator.step;
+    case 'uuid': return uuid();
+    case 'ulid': return ulid(now);
+    case 'nanoid': return nanoid(generator.size);
+  }
+};
+
+/**
+ * Random (version 4) UUID
+ *
+ * @return {String}
+ * @api private
+ */
+
+function uuid() {
+  var bytes = crypto.randomBytes(16);
+
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  var hex = bytes.toString('hex');
+  return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-');
+}
+
+/**
+ * ULID
+ *
+ * 10 characters of time and 16 of randomness. Within a millisecond the
+ * randomness is incremented, so ULIDs sort in the order they were made.
+ *
+ * @param {Number} now
+ * @return {String}
+ * @api private
+ */
+
+function ulid(now) {
+  var random;
+
+  if(now === lastUlid.time) {
+    random = lastUlid.random.slice();
+    for(var i = random.length - 1; i >= 0 && ++random[i] === 32; i--) random[i] = 0;
+  } else {
+    random = _.map(crypto.randomBytes(16), function(byte) { return byte & 31; });
+  }
+  lastUlid = { time: now, random: random };
+
+  var time = '';
+  for(var j = 0; j < 10; j++) {
+    time = ULID_ALPHABET.charAt(now % 32) + time;
+    now = Math.floor(now / 32);
+  }
+
+  return time + _.map(random, function(n) { return ULID_ALPHABET.charAt(n); }).join('');
+}
+
+/**
+ * Nanoid-style string
+ *
+ * @param {Number} size
+ * @return {String}
+ * @api private
+ */
+
+function nanoid(size) {
+  return _.map(crypto.randomBytes(size), function(byte) {
+    return NANOID_ALPHABET.charAt(byte & 63);
+  }).join('');
+}
@@ -0,0 +1,153 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var castValue = require('./validation').castValue;
+var keys = require('./keys');
+
+/**
+ * Migrate a Collection
+ *
+ * Reshapes the records and counters of a collection whose schema is
+ * being replaced, following one of Waterline's migration strategies:
+ *
+ *   - `safe`: records and counters are left as they are
+ *   - `drop`: records and counters are thrown away
+ *   - `alter`: attributes added to the schema are set on every record
+ *     (to a key made by their key generator, `defaultsTo`, or null),
+ *     removed attributes are deleted from every record, and values of
+ *     attributes whose type changed are cast to the new type. Sequence
+ *     counters are moved past the highest stored value.
+ *
+ * The records given are never changed: migrated copies are sent back.
+ * If the records can't be migrated (a value can't be cast, or an attribute
+ * which just became unique holds duplicates) an error is sent back instead.
+ *
+ * @param {String} strategy
+ * @param {Object} previousSchema
+ * @param {Object} schema
+ * @param {Array} records
+ * @param {Object} counters
+ * @param {Object} generators - the key generator (as normalized by
+ *     `keys.normalize`) of each attribute that has one
+ * @param {Number} now - current time in milliseconds, for ULIDs
+ * @return {Object} - `{ results: { records, counters } }` or `{ error: ... }`
+ * @api public
+ */
+
+module.exports = function migrate(strategy, previousSchema, schema, records, counters, generators, now) {
+
+  if(strategy === 'safe') return { results: { records: records, counters: counters } };
+  if(strategy === 'drop') return { results: { records: [], counters: {} } };
+
+  records = _.map(records, _.clone);
+  counters = _.clone(counters);
+
+  try {
+    _.each(previousSchema, function(previousDef, attrName) {
+      if(schema.hasOwnProperty(attrName)) return;
+
+      records.forEach(function(record) {
+        delete record[attrName];
+      });
+      delete counters[attrName];
+    });
+
+    _.each(schema, function(attrDef, attrName) {
+      var previousDef = previousSchema[attrName];
+      var generator = (generators || {})[attrName];
+
+      if(!previousDef) addAttribute(records, counters, attrName, attrDef, generator, now);
+      else if(previousDef.type !== attrDef.type) castAttribute(records, attrName, attrDef);
+
+      if(generator && generator.type === 'sequence') {
+        var highest = _.max(_.pluck(records, attrName).concat(counters[attrName] || 0));
+        if(highest > 0) counters[attrName] = highest;
+      }
+
+      if(attrDef.unique && !(previousDef && previousDef.unique)) checkUnique(records, attrName);
+    });
+  } catch(e) {
+    return { error: e };
+  }
+
+  return { results: { records: records, counters: counters } };
+};
+
+/**
+ * Set a new attribute on every record
+ *
+ * @param {Array} records
+ * @param {Object} counters
+ * @param {String} attrName
+ * @param {Object} attrDef
+ * @param {Object} generator - the attribute's key generator, if any
+ * @param {Number} now
+ * @api private
+ */
+
+function addAttribute(records, counters, attrName, attrDef, generator, now) {
+  records.forEach(function(record) {
+    if(!_.isUndefined(record[attrName])) return;
+
+    if(generator) {
+      record[attrName] = keys.generate(generator, counters[attrName], now);
+
+      // Sequences continue from the last value handed out
+      if(generator.type === 'sequence') counters[attrName] = record[attrName];
+    } else if(!_.isUndefined(attrDef.defaultsTo)) {
+      record[attrName] = _.isFunction(attrDef.defaultsTo) ? attrDef.defaultsTo() : _.cloneDeep(attrDef.defaultsTo);
+    } else {
+      record[attrName] = null;
+    }
+  });
+}
+
+/**
+ * Cast the values of an attribute whose type changed
+ *
+ * @param {Array} records
+ * @param {String} attrName
+ * @param {Object} attrDef
+ * @api private
+ */
+
+function castAttribute(records, attrName, attrDef) {
+  records.forEach(function(record, i) {
+    var value = record[attrName];
+    if(_.isUndefined(value) || value === null) return;
+
+    var cast = castValue(attrDef.type, value);
+    if(cast.error) {
+      throw new Error('Cannot alter attribute `' + attrName + '` to type `' + attrDef.type + '`: ' +
+        'record #' + i + ' holds ' + JSON.stringify(value));
+    }
+
+    record[attrName] = cast.value;
+  });
+}
+
+/**
+ * Check an attribute which just became unique holds no duplicates
+ *
+ * @param {Array} records
+ * @param {String} attrName
+ * @api private
+ */
+
+function checkUnique(records, attrName) {
+  var seen = {};
+
+  records.forEach(function(record) {
+    var value = record[attrName];
+    if(_.isUndefined(value) || value === null) return;
+
+    var key = typeof value + ':' + JSON.stringify(value);
+    if(seen[key]) {
+      throw new Error('Cannot make attribute `' + attrName + '` unique: ' +
+        JSON.stringify(value) + ' is stored more than once');
+    }
+    seen[key] = true;
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Update Operators
+ *
+ * Given in the values of an update, they change each matched record
+ * based on the values it holds:
+ *
+ *   - `$inc`: `{ attr: n }` adds `n` (a negative `n` subtracts), from 0
+ *   - `$mul`: `{ attr: n }` multiplies by `n`, from 0
+ *   - `$push`: `{ attr: value }` appends to an array, or
+ *     `{ attr: { $each: [values] } }` to append several
+ *   - `$addToSet`: the same, leaving out values the array already holds
+ *   - `$pull`: `{ attr: value }` (or `{ $each: [values] }`) removes every
+ *     equal value from an array
+ *   - `$unset`: `{ attr: true }` removes an attribute
+ *   - `$min`, `$max`: `{ attr: value }` sets an attribute to `value` if it
+ *     is lower (higher) than the one held, or if none is held
+ */
+
+var OPERATORS = exports.OPERATORS = ['$inc', '$mul', '$push', '$addToSet', '$pull', '$unset', '$min', '$max'];
+
+/**
+ * Split the values of an update into plain values and operators
+ *
+ * @param {Object} values
+ * @return {Object} - `{ values, operators }` (`operators` being `null` if
+ *     there are none), or `{ error: ... }`
+ * @api public
+ */
+
+exports.split = function(values) {
+  var operators = _.pick(values, function(operand, key) {
+    return key.charAt(0) === '$';
+  });
+
+  if(_.isEmpty(operators)) return { values: values, operators: null };
+
+  var unknown = _.find(Object.keys(operators), function(operator) {
+    return !_.includes(OPERATORS, operator);
+  });
+  if(unknown) return { error: new Error('Unknown update operator `' + unknown + '`') };
+
+  // An attribute can only be changed one way
+  var attrNames = _.keys(_.omit(values, Object.keys(operators)));
+  var conflict = null;
+
+  _.find(operators, function(operand, operator) {
+    if(!_.isPlainObject(operand)) {
+      conflict = new Error('`' + operator + '` expects an object of attributes');
+      return true;
+    }
+
+    var repeated = _.intersection(attrNames, Object.keys(operand));
+    if(repeated.length) {
+      conflict = new Error('Attribute `' + repeated[0] + '` is changed more than once by the same update');
+      return true;
+    }
+
+    attrNames = attrNames.concat(Object.keys(operand));
+  });
+  if(conflict) return { error: conflict };
+
+  return { values: _.omit(values, Object.keys(operators)), operators: operators };
+};
+
+/**
+ * Apply operators to a record
+ *
+ * @param {Object} record - a copy, which is changed in place
+ * @param {Object} operators
+ * @return {Object} - `{ record, changed: [attrNames] }`, or `{ errors: [...] }`
+ *     with a violation for each value operators can't be applied to
+ * @api public
+ */
+
+exports.apply = function(record, operators) {
+  var errors = [];
+  var changed = [];
+
+  _.each(operators, function(operand, operator) {
+    _.each(operand, function(value, attrName) {
+      var current = record[attrName];
+      var missing = _.isUndefined(current) || current === null;
+      var values = _.isPlainObject(value) && _.isArray(value.$each) ? value.$each : [value];
+
+      changed.push(attrName);
+
+      switch(operator) {
+        case '$inc':
+        case '$mul':
+          if(!_.isNumber(value)) return errors.push(violation(attrName, value, operator, 'cannot be changed by `' + operator + '` with a non-number'));
+          if(!missing && !_.isNumber(current)) return errors.push(violation(attrName, current, operator, 'holds no number to `' + operator + '`'));
+          current = missing ? 0 : current;
+          record[attrName] = operator === '$inc' ? current + value : current * value;
+          return;
+
+        case '$push':
+        case '$addToSet':
+        case '$pull':
+          if(!missing && !_.isArray(current)) return errors.push(violation(attrName, current, operator, 'holds no array to `' + operator + '`'));
+          current = missing ? [] : current.slice();
+
+          if(operator === '$pull') {
+            record[attrName] = _.reject(current, function(item) {
+              return _.some(values, _.partial(_.isEqual, item));
+            });
+            return;
+          }
+
+          values.forEach(function(item) {
+            if(operator === '$addToSet' && _.some(current, _.partial(_.isEqual, item))) return;
+            current.push(_.cloneDeep(item));
+          });
+          record[attrName] = current;
+          return;
+
+        case '$unset':
+          delete record[attrName];
+          return;
+
+        case '$min':
+        case '$max':
+          if(missing) {
+            record[attrName] = _.cloneDeep(value);
+            return;
+          }
+          var comparable = _.isDate(value) ? _.isDate(current) : typeof value === typeof current;
+          if(!comparable || !(_.isNumber(value) || _.isString(value) || _.isDate(value))) {
+            return errors.push(violation(attrName, current, operator, 'cannot be compared to ' + JSON.stringify(value) + ' by `' + operator + '`'));
+          }
+          if(operator === '$min' ? value < current : value > current) record[attrName] = _.cloneDeep(value);
+          return;
+      }
+    });
+  });
+
+  if(errors.length) return { errors: errors };
+  return { record: record, changed: changed };
+};
+
+/**
+ * Describe a violation
+ *
+ * @param {String} attrName
+ * @param {*} value
+ * @param {String} operator
+ * @param {String} message
+ * @return {Object}
+ * @api private
+ */
+
+function violation(attrName, value, operator, message) {
+  return {
+    attribute: attrName,
+    value: value,
+    rule: operator,
+    message: '`' + attrName + '` ' + message
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * A Query Profiler for a Connection
+ *
+ * Keeps a log of the queries (`find`, `create`, `update`, `destroy` and
+ * `join` calls) run against a connection, each entry holding:
+ *
+ *   - `method`, `collection` and `criteria` (or values, for `create`)
+ *   - `scanned`: records the criteria were run against (fewer than the
+ *     whole collection when indexes could be used)
+ *   - `matched`: records the criteria matched
+ *   - `duration`: milliseconds until the query called back
+ *   - `error`: the error it sent back, if any
+ *
+ * Options:
+ *
+ *   - `maxEntries`: size of the log, the oldest entries being dropped
+ *     (1000 by default)
+ *   - `slowQueryThreshold`, `onSlowQuery`: `onSlowQuery` is called with
+ *     the entry of every query taking `slowQueryThreshold` milliseconds
+ *     or more
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+var Profiler = module.exports = function(options) {
+  options = options || {};
+
+  this.maxEntries = options.maxEntries || 1000;
+  this.slowQueryThreshold = options.slowQueryThreshold || 0;
+  this.onSlowQuery = options.onSlowQuery || null;
+
+  // Hold the log
+  this.entries = [];
+
+  // Count the records scanned and matched by every query, the share of
+  // each query being the difference made while it runs
+  this.scanned = 0;
+  this.matched = 0;
+  this.tracking = false;
+
+  return this;
+};
+
+/**
+ * Start an entry
+ *
+ * @param {String} method
+ * @param {String} collectionName
+ * @param {Object} criteria
+ * @return {Object} - the entry
+ * @api public
+ */
+
+Profiler.prototype.start = function(method, collectionName, criteria) {
+  return {
+    method: method,
+    collection: collectionName,
+    criteria: _.cloneDeep(criteria),
+    scanned: 0,
+    matched: 0,
+    duration: 0,
+    started: process.hrtime()
+  };
+};
+
+/**
+ * Track the records scanned and matched by `fn` (run right away)
+ *
+ * Queries run by a nested call are already tracked by the outer one.
+ *
+ * @param {Object} entry
+ * @param {Function} fn
+ * @return {*} - whatever `fn` returns
+ * @api public
+ */
+
+Profiler.prototype.track = function(entry, fn) {
+  if (this.tracking) return fn();
+
+  var scanned = this.scanned;
+  var matched = this.matched;
+
+  this.tracking = true;
+  try {
+    return fn();
+  } finally {
+    this.tracking = false;
+    entry.scanned += this.scanned - scanned;
+    entry.matched += this.matched - matched;
+  }
+};
+
+/**
+ * Count records scanned and matched by a query
+ *
+ * @param {Number} scanned
+ * @param {Number} matched
+ * @api public
+ */
+
+Profiler.prototype.count = function(scanned, matched) {
+  this.scanned += scanned;
+  this.matched += matched;
+};
+
+/**
+ * Finish an entry, once its query called back
+ *
+ * @param {Object} entry
+ * @param {Object} error
+ * @api public
+ */
+
+Profiler.prototype.finish = function(entry, error) {
+  var elapsed = process.hrtime(entry.started);
+
+  delete entry.started;
+  entry.duration = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+  if (error) entry.error = error;
+
+  this.entries.push(entry);
+  if (this.entries.length > this.maxEntries) this.entries.shift();
+
+  if (this.onSlowQuery && entry.duration >= this.slowQueryThreshold) {
+    this.onSlowQuery(_.cloneDeep(entry));
+  }
+};
+
+/**
+ * Stats
+ *
+ * @return {Object} - `{ queries, errors, scanned, matched, duration,
+ *     byCollection }` for each method, `byCollection` holding the same
+ *     for each collection, plus `averageDuration` and `maxDuration`
+ * @api public
+ */
+
+Profiler.prototype.stats = function() {
+  var stats = {};
+
+  this.entries.forEach(function(entry) {
+    stats[entry.method] = stats[entry.method] || _.extend(emptyStats(), { byCollection: {} });
+
+    var byCollection = stats[entry.method].byCollection;
+    byCollection[entry.collection] = byCollection[entry.collection] || emptyStats();
+
+    [stats[entry.method], byCollection[entry.collection]].forEach(function(total) {
+      total.queries++;
+      if (entry.error) total.errors++;
+      total.scanned += entry.scanned;
+      total.matched += entry.matched;
+      total.duration += entry.duration;
+      total.maxDuration = Math.max(total.maxDuration, entry.duration);
+      total.averageDuration = total.duration / total.queries;
+    });
+  });
+
+  return stats;
+};
+
+/**
+ * Reset
+ *
+ * Empty the log.
+ *
+ * @api public
+ */
+
+Profiler.prototype.reset = function() {
+  this.entries = [];
+};
+
+/**
+ * Stats of no query
+ *
+ * @return {Object}
+ * @api private
+ */
+
+function emptyStats() {
+  return { queries: 0, errors: 0, scanned: 0, matched: 0, duration: 0, averageDuration: 0, maxDuration: 0 };
+}
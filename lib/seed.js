@@ -0,0 +1,101 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Load Seed Records
+ *
+ * Turns the `seed` option of a connection config into an object holding
+ * an array of records for each collection. The option may be:
+ *
+ *   - an object, whose keys are collection names and whose values are
+ *     either an array of records or the path to a JSON/JS file exporting
+ *     such an array
+ *   - the path to a JSON/JS file exporting such an object
+ *   - the path to a directory holding one `<collectionName>.json` or
+ *     `<collectionName>.js` file per collection
+ *
+ * Relative paths are resolved from the current working directory.
+ *
+ * @param {Object|String} seed
+ * @return {Object} - `{ results: ... }` or `{ error: ... }`
+ * @api public
+ */
+
+module.exports = function loadSeeds(seed) {
+  var results = {};
+
+  if(!seed) return { results: results };
+
+  try {
+    if(_.isString(seed)) seed = readSeedPath(seed);
+
+    _.each(seed, function(records, collectionName) {
+      if(_.isString(records)) records = readFile(records);
+
+      if(!Array.isArray(records)) {
+        throw new Error('Seed records for collection `' + collectionName + '` must be an array');
+      }
+
+      // Copy the records, so loaded fixtures (which `require` caches)
+      // are never changed by auto-incrementing or serializing them.
+      results[collectionName] = _.cloneDeep(records);
+    });
+  } catch(e) {
+    return { error: e };
+  }
+
+  return { results: results };
+};
+
+/**
+ * Read a seed file or directory of seed files
+ *
+ * @param {String} seedPath
+ * @return {Object}
+ * @api private
+ */
+
+function readSeedPath(seedPath) {
+  var absolutePath = path.resolve(seedPath);
+  var stats;
+
+  try {
+    stats = fs.statSync(absolutePath);
+  } catch(e) {
+    throw new Error('Could not find seed path `' + seedPath + '`');
+  }
+
+  if(!stats.isDirectory()) return readFile(seedPath);
+
+  var seed = {};
+
+  fs.readdirSync(absolutePath).forEach(function(fileName) {
+    var extension = path.extname(fileName);
+    if(extension !== '.json' && extension !== '.js') return;
+
+    seed[path.basename(fileName, extension)] = readFile(path.join(absolutePath, fileName));
+  });
+
+  return seed;
+}
+
+/**
+ * Read a JSON or JS fixture file
+ *
+ * @param {String} filePath
+ * @return {Object|Array}
+ * @api private
+ */
+
+function readFile(filePath) {
+  try {
+    return require(path.resolve(filePath));
+  } catch(e) {
+    throw new Error('Could not load seed file `' + filePath + '`: ' + e.message);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var net = require('net');
+var wire = require('./wire');
+
+/**
+ * A Server sharing the connections of an adapter with other processes
+ *
+ * Clients send `{ id, method, args }` requests, which are run as calls to
+ * the adapter method of that name, and get back `{ id, error, results }`,
+ * `results` holding the arguments passed to the callback after the error.
+ *
+ * @param {Object} adapter
+ * @param {Function} grabConnection - looks up the Database of a connection
+ * @return {Object}
+ * @api public
+ */
+
+var Server = module.exports = function(adapter, grabConnection) {
+  this.adapter = adapter;
+  this.grabConnection = grabConnection;
+  this.server = null;
+
+  // Hold the sockets of connected clients
+  this.sockets = [];
+
+  return this;
+};
+
+/**
+ * Adapter methods clients can call
+ */
+
+Server.METHODS = [
+  'registerConnection', 'describe', 'define', 'drop', 'join',
+  'find', 'create', 'update', 'destroy', 'upsert', 'findOrCreate',
+  'createEach', 'updateEach', 'bulkWrite'
+];
+
+/**
+ * Listen on a Unix domain socket (`path`) or a TCP port (`port`, and
+ * `host`, localhost by default)
+ *
+ * @param {Object} options
+ * @param {Function} cb
+ * @api public
+ */
+
+Server.prototype.listen = function(options, cb) {
+  var self = this;
+
+  this.server = net.createServer(function(socket) {
+    self.sockets.push(socket);
+    socket.on('close', function() {
+      self.sockets = _.without(self.sockets, socket);
+    });
+
+    wire.parse(socket, function(request) {
+      if (!_.isPlainObject(request)) return socket.destroy();
+
+      self.handle(request, function(err) {
+        if (!socket.writable) return;
+
+        var results = _.rest(arguments);
+        socket.write(wire.serialize({ id: request.id, error: err || null, results: results }));
+      });
+    });
+
+    // A client going away is no reason to stop serving the others
+    socket.on('error', function() {});
+  });
+
+  this.server.once('error', cb);
+  this.server.listen(options.path || { port: options.port, host: options.host || 'localhost' }, function() {
+    self.server.removeListener('error', cb);
+    cb(null, self);
+  });
+};
+
+/**
+ * Handle a request
+ *
+ * @param {Object} request
+ * @param {Function} cb
+ * @api private
+ */
+
+Server.prototype.handle = function(request, cb) {
+  if (!_.includes(Server.METHODS, request.method)) {
+    return cb(new Error('Unknown method `' + request.method + '`'));
+  }
+
+  var args = _.isArray(request.args) ? request.args : [];
+  if (request.method === 'registerConnection') return this.register(args[0], args[1], cb);
+
+  try {
+    this.adapter[request.method].apply(this.adapter, args.concat(cb));
+  } catch(e) {
+    cb(e);
+  }
+};
+
+/**
+ * Register a Client's connection
+ *
+ * Clients can only use the connections this process registered, adding
+ * the collections they don't have yet. The rest of their config is
+ * ignored: settings such as `seed` or `filePath` would have this process
+ * load code or write files on a client's behalf.
+ *
+ * @param {Object} config
+ * @param {Object} collections
+ * @param {Function} cb
+ * @api private
+ */
+
+Server.prototype.register = function(config, collections, cb) {
+  var identity = (config || {}).identity;
+  var database = this.grabConnection(identity);
+
+  if (!database || !database.addCollections) {
+    return setTimeout(function() {
+      cb(new Error('Unknown connection `' + identity + '`: it has to be registered by the hosting process'));
+    }, 0);
+  }
+
+  database.addCollections(collections || {}, cb);
+};
+
+/**
+ * Stop serving, disconnecting every client
+ *
+ * @param {Function} cb
+ * @api public
+ */
+
+Server.prototype.close = function(cb) {
+  this.server.close(cb);
+  this.sockets.forEach(function(socket) {
+    socket.destroy();
+  });
+};
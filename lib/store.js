@@ -0,0 +1,220 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var Database = require('./database');
+var normalizeCriteria = require('./criteria').normalize;
+var Errors = require('waterline-errors').adapter;
+
+/**
+ * A Store
+ *
+ * An In-Memory Datastore used on its own, without Waterline: the same
+ * criteria, constraints and error codes, through methods sending back
+ * promises.
+ *
+ * Options are the ones of a connection (`schema`, `foreignKeys`,
+ * `filePath`, `memoryBudget`...), plus `Promise`: the promise
+ * implementation to use (the global `Promise` by default).
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+var Store = module.exports = function(options) {
+  var self = this;
+  options = options || {};
+
+  this.Promise = options.Promise || global.Promise;
+  if (!this.Promise) throw new Error('No promise implementation found, pass one as the `Promise` option');
+
+  this.database = new Database(_.omit(options, 'Promise'), {});
+
+  // Settle once the datastore is ready (i.e. loaded from `filePath`)
+  this.ready = new this.Promise(function(resolve, reject) {
+    self.database.initialize(function(err) {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+
+  // Calls wait on `ready`, and are rejected with its error if loading
+  // failed, so it needn't be handled by itself
+  this.ready.then(null, _.noop);
+
+  return this;
+};
+
+/**
+ * Define a Collection
+ *
+ * Attributes are given as Waterline does (`{ name: 'string' }` being
+ * short for `{ name: { type: 'string' } }`), and get an auto-incremented
+ * `id` primary key unless one of them is the primary key. Settings are
+ * the collection-level ones (`ttl`, `maxRecords`, `keyGenerators`,
+ * `versionAttribute`, `migrate`...).
+ *
+ * @param {String} collectionName
+ * @param {Object} attributes
+ * @param {Object} settings
+ * @return {Promise} - resolved with the schema
+ * @api public
+ */
+
+Store.prototype.define = function(collectionName, attributes, settings) {
+  var definition = _.mapValues(attributes, function(attribute) {
+    return _.isString(attribute) ? { type: attribute } : attribute;
+  });
+
+  if (!_.some(definition, 'primaryKey')) {
+    definition = _.extend({
+      id: { type: 'integer', autoIncrement: true, primaryKey: true, unique: true }
+    }, definition);
+  }
+
+  this.database.collections[collectionName] = _.extend({}, settings, {
+    identity: collectionName,
+    definition: definition
+  });
+
+  return this.run('createCollection', [collectionName, definition]);
+};
+
+/**
+ * Describe a Collection
+ *
+ * @param {String} collectionName
+ * @return {Promise} - resolved with the schema, or `null` if the
+ *     collection isn't defined
+ * @api public
+ */
+
+Store.prototype.describe = function(collectionName) {
+  return this.run('describe', [collectionName]);
+};
+
+/**
+ * Find Records
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria - criteria, or a `where` clause on its own
+ * @return {Promise} - resolved with the records
+ * @api public
+ */
+
+Store.prototype.find = function(collectionName, criteria) {
+  return this.select(collectionName, normalizeCriteria(criteria));
+};
+
+/**
+ * Create Records
+ *
+ * @param {String} collectionName
+ * @param {Object|Array} values
+ * @return {Promise} - resolved with the record, or records
+ * @api public
+ */
+
+Store.prototype.create = function(collectionName, values) {
+  return this.run('insert', [collectionName, values]);
+};
+
+/**
+ * Update Records
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria - criteria, or a `where` clause on its own
+ * @param {Object} values
+ * @return {Promise} - resolved with the updated records
+ * @api public
+ */
+
+Store.prototype.update = function(collectionName, criteria, values) {
+  return this.run('update', [collectionName, normalizeCriteria(criteria), values]);
+};
+
+/**
+ * Destroy Records
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria - criteria, or a `where` clause on its own
+ * @return {Promise} - resolved with the destroyed records
+ * @api public
+ */
+
+Store.prototype.destroy = function(collectionName, criteria) {
+  return this.run('destroy', [collectionName, normalizeCriteria(criteria)]);
+};
+
+/**
+ * Aggregate Records
+ *
+ * Runs the calculations of `criteria` (`groupBy`, `sum`, `average`,
+ * `count`, `having`...) against the records it matches.
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria
+ * @return {Promise} - resolved with a result for each group
+ * @api public
+ */
+
+Store.prototype.aggregate = function(collectionName, criteria) {
+  return this.select(collectionName, _.extend({ where: {} }, criteria));
+};
+
+/**
+ * Close
+ *
+ * Stop the timers of the datastore.
+ *
+ * @api public
+ */
+
+Store.prototype.close = function() {
+  this.database.close();
+};
+
+/**
+ * Select Records
+ *
+ * Unlike the adapter's `find`, which finds nothing, finding records of a
+ * collection that isn't defined fails.
+ *
+ * @param {String} collectionName
+ * @param {Object} criteria
+ * @return {Promise}
+ * @api private
+ */
+
+Store.prototype.select = function(collectionName, criteria) {
+  var self = this;
+
+  return this.ready.then(function() {
+    if (!self.database.data[collectionName]) throw Errors.CollectionNotRegistered;
+    return self.run('select', [collectionName, criteria]);
+  });
+};
+
+/**
+ * Run a Database method once the datastore is ready
+ *
+ * @param {String} method
+ * @param {Array} args - arguments of the method, but its callback
+ * @return {Promise}
+ * @api private
+ */
+
+Store.prototype.run = function(method, args) {
+  var self = this;
+
+  return this.ready.then(function() {
+    return new self.Promise(function(resolve, reject) {
+      self.database[method].apply(self.database, args.concat(function(err, results) {
+        if (err) return reject(err);
+        resolve(results);
+      }));
+    });
+  });
+};
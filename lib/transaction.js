@@ -0,0 +1,243 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * A Transaction against an In-Memory Datastore
+ *
+ * Writes made through a transaction are applied to a private fork of the
+ * database, so reads made through the same transaction see them while
+ * everyone else keeps seeing the committed data. The writes are recorded
+ * and applied to the database all together on `commit`, or thrown away
+ * on `rollback`. Updates and destroys are recorded against the primary
+ * keys of the records they matched.
+ *
+ * @param {Object} database
+ * @param {Number} id
+ * @return {Object}
+ * @api public
+ */
+
+var Transaction = module.exports = function(database, id) {
+
+  this.id = id;
+
+  // The database the writes will be committed to
+  this.database = database;
+
+  // Private copy of the database holding uncommitted writes
+  this.fork = database.fork();
+
+  // Writes to apply on commit, in order
+  this.operations = [];
+
+  this.active = true;
+
+  return this;
+};
+
+/**
+ * Find Records
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @param {Function} callback
+ * @api public
+ */
+
+Transaction.prototype.find = function(collectionName, options, cb) {
+  if(!this.active) return inactive(cb);
+  this.fork.select(collectionName, options, cb);
+};
+
+/**
+ * Create Records
+ *
+ * @param {String} collectionName
+ * @param {Object|Array} values
+ * @param {Function} callback
+ * @api public
+ */
+
+Transaction.prototype.create = function(collectionName, values, cb) {
+  if(!this.active) return inactive(cb);
+
+  var outcome = this.fork.insertRecords(collectionName, values);
+
+  // Record the inserted values as they were stored (i.e. with their
+  // auto-incremented keys) so the committed records match what this
+  // transaction has seen.
+  if(!outcome.error) {
+    this.operations.push({
+      method: 'insert',
+      collectionName: collectionName,
+      values: _.cloneDeep(outcome.results)
+    });
+  }
+
+  done(cb, outcome);
+};
+
+/**
+ * Update Records
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @param {Object} values
+ * @param {Function} callback
+ * @api public
+ */
+
+Transaction.prototype.update = function(collectionName, options, values, cb) {
+  if(!this.active) return inactive(cb);
+
+  var criteria = this.matching(collectionName, options);
+  var outcome = this.fork.updateRecords(collectionName, options, values);
+
+  if(!outcome.error) {
+    this.operations.push({
+      method: 'update',
+      collectionName: collectionName,
+      criteria: criteria,
+      values: _.cloneDeep(values)
+    });
+  }
+
+  done(cb, outcome);
+};
+
+/**
+ * Destroy Records
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @param {Function} callback
+ * @api public
+ */
+
+Transaction.prototype.destroy = function(collectionName, options, cb) {
+  if(!this.active) return inactive(cb);
+
+  var criteria = this.matching(collectionName, options);
+  var outcome = this.fork.destroyRecords(collectionName, options);
+
+  if(!outcome.error) {
+    this.operations.push({
+      method: 'destroy',
+      collectionName: collectionName,
+      criteria: criteria
+    });
+  }
+
+  done(cb, outcome);
+};
+
+/**
+ * Commit
+ *
+ * Apply every write made through this transaction to the database. If any
+ * of them fails, none of them are applied and the error is sent back.
+ * Either way the transaction is closed.
+ *
+ * @param {Function} callback
+ * @api public
+ */
+
+Transaction.prototype.commit = function(cb) {
+  if(!this.active) return inactive(cb);
+
+  var operations = this.operations;
+  this.close();
+
+  var outcome = this.database.applyOperations(operations);
+
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb();
+  }, 0);
+};
+
+/**
+ * Rollback
+ *
+ * Throw away every write made through this transaction and close it.
+ *
+ * @param {Function} callback
+ * @api public
+ */
+
+Transaction.prototype.rollback = function(cb) {
+  if(!this.active) return inactive(cb);
+
+  this.close();
+
+  setTimeout(function() {
+    cb();
+  }, 0);
+};
+
+/**
+ * Build criteria matching, by primary key, the records `options` matches
+ * in the fork, so that commit writes to the records this transaction saw
+ * and not to the ones others committed in the meantime.
+ *
+ * @param {String} collectionName
+ * @param {Object} options
+ * @return {Object}
+ * @api private
+ */
+
+Transaction.prototype.matching = function(collectionName, options) {
+  var pkAttrName = this.fork.getPKField(collectionName);
+  if(!pkAttrName) return _.cloneDeep(options);
+
+  var resultSet = this.fork.query(collectionName, options);
+
+  var where = {};
+  where[pkAttrName] = _.pluck(resultSet.results || [], pkAttrName);
+  return { where: where };
+};
+
+/**
+ * Close the transaction and release its fork.
+ *
+ * @api private
+ */
+
+Transaction.prototype.close = function() {
+  this.active = false;
+  this.fork = null;
+  this.operations = [];
+  delete this.database.transactions[this.id];
+};
+
+/**
+ * Send back the outcome of a synchronous write.
+ *
+ * @param {Function} cb
+ * @param {Object} outcome
+ * @api private
+ */
+
+function done(cb, outcome) {
+  setTimeout(function() {
+    if(outcome.error) return cb(outcome.error);
+    cb(null, outcome.results);
+  }, 0);
+}
+
+/**
+ * Send back an error for a transaction that was already committed
+ * or rolled back.
+ *
+ * @param {Function} cb
+ * @api private
+ */
+
+function inactive(cb) {
+  setTimeout(function() {
+    cb(new Error('Transaction is not active'));
+  }, 0);
+}
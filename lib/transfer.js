@@ -0,0 +1,135 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var formats = require('./formats');
+
+/**
+ * Write the Files of an Export
+ *
+ * Writes the records of each collection to `<collection>.<format>` in the
+ * directory at `options.path` (created, along with its parents, if
+ * missing), and its schema and counters to `<collection>.schema.json`.
+ *
+ * @param {Object} options - `path` and `format` (`json` by default)
+ * @param {Object} collections - `{ records, schema, counters }` for each collection
+ * @return {Object} - `{ results: { collection: count } }` or `{ error: ... }`
+ * @api public
+ */
+
+exports.write = function(options, collections) {
+  var format = options.format || 'json';
+
+  if(!options.path) return { error: new Error('Exporting needs a `path`') };
+  if(!_.includes(formats.FORMATS, format)) return { error: new Error('Unknown format `' + format + '`') };
+
+  var directory = path.resolve(options.path);
+
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+
+    _.each(collections, function(collection, collectionName) {
+      fs.writeFileSync(path.join(directory, collectionName + '.' + format),
+        formats.serialize(format, collection.records, Object.keys(collection.schema)));
+      fs.writeFileSync(path.join(directory, collectionName + '.schema.json'),
+        JSON.stringify({ schema: collection.schema, counters: collection.counters }, null, 2) + '\n');
+    });
+  } catch(e) {
+    return { error: e };
+  }
+
+  return {
+    results: _.mapValues(collections, function(collection) {
+      return collection.records.length;
+    })
+  };
+};
+
+/**
+ * Read the Files of an Import
+ *
+ * @param {Object} options - `path`, `format` and `collections`
+ * @return {Object} - `{ results: { collection: { records, schema, counters } } }`
+ *     or `{ error: ... }`
+ * @api public
+ */
+
+exports.read = function(options) {
+  if(!options.path) return { error: new Error('Importing needs a `path`') };
+  if(options.format && !_.includes(formats.FORMATS, options.format)) {
+    return { error: new Error('Unknown format `' + options.format + '`') };
+  }
+
+  var directory = path.resolve(options.path);
+  var fileNames;
+
+  try {
+    fileNames = fs.readdirSync(directory);
+  } catch(e) {
+    return { error: new Error('Could not read import directory `' + options.path + '`: ' + e.message) };
+  }
+
+  // Find the records file of each collection
+  var recordFiles = {};
+  fileNames.forEach(function(fileName) {
+    var format = path.extname(fileName).slice(1);
+    var collectionName = path.basename(fileName, '.' + format);
+
+    if(!_.includes(formats.FORMATS, format) || /\.schema$/.test(collectionName)) return;
+    if(options.format && format !== options.format) return;
+
+    recordFiles[collectionName] = (recordFiles[collectionName] || []).concat(fileName);
+  });
+
+  var collectionNames = options.collections || Object.keys(recordFiles);
+  var results = {};
+
+  try {
+    collectionNames.forEach(function(collectionName) {
+      var found = recordFiles[collectionName] || [];
+      if(!found.length) throw new Error('No file to import collection `' + collectionName + '` from');
+      if(found.length > 1) throw new Error('Several files to import collection `' + collectionName + '` from, pick one with `format`');
+
+      var file = { records: readFile(directory, found[0], true), schema: null, counters: {} };
+
+      var meta = readFile(directory, collectionName + '.schema.json');
+      if(meta) {
+        file.schema = meta.schema || null;
+        file.counters = meta.counters || {};
+      }
+
+      results[collectionName] = file;
+    });
+  } catch(e) {
+    return { error: e };
+  }
+
+  return { results: results };
+};
+
+/**
+ * Read an import file: records, or the schema and counters of a
+ * collection (if there is such a file)
+ *
+ * @param {String} directory
+ * @param {String} fileName
+ * @param {Boolean} holdsRecords
+ * @return {Array|Object}
+ * @api private
+ */
+
+function readFile(directory, fileName, holdsRecords) {
+  var filePath = path.join(directory, fileName);
+  if(!holdsRecords && !fs.existsSync(filePath)) return null;
+
+  try {
+    var text = fs.readFileSync(filePath, 'utf8');
+    if(!holdsRecords) return JSON.parse(text);
+    return formats.parse(path.extname(fileName).slice(1), text);
+  } catch(e) {
+    throw new Error('Could not import `' + fileName + '`: ' + e.message);
+  }
+}
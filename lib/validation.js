@@ -0,0 +1,151 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Enforce a Schema
+ *
+ * Validates `values` against a collection schema, casting them to the
+ * attribute types where that can be done without losing information
+ * (i.e. `'42'` for an integer, `'true'` for a boolean). Values are changed
+ * in place. Rule names follow the ones Waterline uses, so `enum` is
+ * reported as `in`.
+ *
+ * When `isUpdate` is set, only the attributes present in `values` are
+ * checked and no defaults are applied.
+ *
+ * @param {Object} schema
+ * @param {Object} values
+ * @param {Boolean} isUpdate
+ * @return {Array} - `{ attribute, value, rule, message }` for each violation
+ * @api public
+ */
+
+module.exports = function enforceSchema(schema, values, isUpdate) {
+  var errors = [];
+
+  _.each(schema, function(attrDef, attrName) {
+    var value = values[attrName];
+
+    if(!isUpdate && _.isUndefined(value) && !_.isUndefined(attrDef.defaultsTo)) {
+      value = values[attrName] = _.isFunction(attrDef.defaultsTo) ?
+        attrDef.defaultsTo() :
+        _.cloneDeep(attrDef.defaultsTo);
+    }
+
+    if(isUpdate && !values.hasOwnProperty(attrName)) return;
+
+    if(_.isUndefined(value) || value === null || value === '') {
+      if(attrDef.required) errors.push(violation(attrName, value, 'required', 'is required'));
+      return;
+    }
+
+    var cast = castValue(attrDef.type, value);
+    if(cast.error) {
+      errors.push(violation(attrName, value, attrDef.type, 'should be of type `' + attrDef.type + '`'));
+      return;
+    }
+
+    values[attrName] = cast.value;
+
+    if(attrDef.enum && !_.includes(attrDef.enum, cast.value)) {
+      errors.push(violation(attrName, value, 'in', 'should be one of ' + JSON.stringify(attrDef.enum)));
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Cast a value to an attribute type
+ *
+ * @param {String} type
+ * @param {*} value
+ * @return {Object} - `{ value: ... }` or `{ error: true }`
+ * @api private
+ */
+
+function castValue(type, value) {
+  switch(type) {
+    case 'integer':
+      if(_.isString(value) && value.trim() !== '') value = +value;
+      if(!_.isNumber(value) || value % 1 !== 0) return { error: true };
+      return { value: value };
+
+    case 'float':
+    case 'number':
+      if(_.isString(value) && value.trim() !== '') value = +value;
+      if(!_.isNumber(value) || !isFinite(value)) return { error: true };
+      return { value: value };
+
+    case 'boolean':
+      if(_.isBoolean(value)) return { value: value };
+      if(value === 'true' || value === 1 || value === '1') return { value: true };
+      if(value === 'false' || value === 0 || value === '0') return { value: false };
+      return { error: true };
+
+    case 'date':
+    case 'datetime':
+      if(!_.isDate(value) && !_.isString(value) && !_.isNumber(value)) return { error: true };
+      var date = new Date(value);
+      if(isNaN(date.getTime())) return { error: true };
+      return { value: date };
+
+    case 'string':
+    case 'text':
+    case 'mediumtext':
+    case 'longtext':
+    case 'email':
+      if(_.isString(value)) return { value: value };
+      if(_.isNumber(value) || _.isBoolean(value)) return { value: String(value) };
+      return { error: true };
+
+    case 'array':
+      if(_.isString(value)) {
+        try {
+          value = JSON.parse(value);
+        } catch(e) {
+          return { error: true };
+        }
+      }
+      if(!_.isArray(value)) return { error: true };
+      return { value: value };
+
+    case 'json':
+      if(_.isString(value)) {
+        try {
+          return { value: JSON.parse(value) };
+        } catch(e) {
+          return { value: value };
+        }
+      }
+      return { value: value };
+
+    default:
+      return { value: value };
+  }
+}
+
+/**
+ * Describe a violation
+ *
+ * @param {String} attrName
+ * @param {*} value
+ * @param {String} rule
+ * @param {String} message
+ * @return {Object}
+ * @api private
+ */
+
+function violation(attrName, value, rule, message) {
+  return {
+    attribute: attrName,
+    value: value,
+    rule: rule,
+    message: '`' + attrName + '` ' + message
+  };
+}
+
+module.exports.castValue = castValue;
@@ -0,0 +1,100 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Messages exchanged between a Server and its Clients
+ *
+ * Messages are JSON objects, one per line. Dates and errors don't survive
+ * JSON as they are, so they are encoded as `{ $date: time }` and
+ * `{ $error: { message, name, ...properties } }`.
+ */
+
+/**
+ * Serialize a message
+ *
+ * @param {Object} message
+ * @return {String}
+ * @api public
+ */
+
+exports.serialize = function(message) {
+  return JSON.stringify(encode(message)) + '\n';
+};
+
+/**
+ * Parse the messages received on a socket
+ *
+ * Calls `onMessage` with every complete message, however data is split
+ * into chunks. A socket sending anything but messages is closed.
+ *
+ * @param {Object} socket
+ * @param {Function} onMessage
+ * @api public
+ */
+
+exports.parse = function(socket, onMessage) {
+  var buffer = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', function(chunk) {
+    var lines = (buffer + chunk).split('\n');
+    buffer = lines.pop();
+
+    for (var i = 0; i < lines.length; i++) {
+      if (!lines[i]) continue;
+
+      var message;
+      try {
+        message = decode(JSON.parse(lines[i]));
+      } catch(e) {
+        buffer = '';
+        return socket.destroy();
+      }
+
+      onMessage(message);
+    }
+  });
+};
+
+/**
+ * Encode the values JSON can't carry
+ *
+ * @param {*} value
+ * @return {*}
+ * @api private
+ */
+
+function encode(value) {
+  if (_.isDate(value)) return { $date: value.getTime() };
+  if (value instanceof Error) {
+    return { $error: encode(_.extend({ message: value.message, name: value.name }, value)) };
+  }
+  if (_.isArray(value)) return _.map(value, encode);
+  if (_.isPlainObject(value)) return _.mapValues(value, encode);
+  return value;
+}
+
+/**
+ * Decode the values encoded by `encode`
+ *
+ * @param {*} value
+ * @return {*}
+ * @api private
+ */
+
+function decode(value) {
+  if (_.isArray(value)) return _.map(value, decode);
+  if (!_.isPlainObject(value)) return value;
+
+  if (_.has(value, '$date')) return new Date(value.$date);
+  if (_.has(value, '$error')) {
+    var properties = decode(value.$error);
+    var error = new Error(properties.message);
+    return _.extend(error, _.omit(properties, 'message'));
+  }
+
+  return _.mapValues(value, decode);
+}
@@ -0,0 +1,119 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Aggregate = require('../../lib/aggregates');
+var support = require('./support/database');
+
+var ORDERS = [
+  { country: 'fr', total: 10, coupon: 'A' },
+  { country: 'fr', total: 20, coupon: 'A' },
+  { country: 'fr', total: 60, coupon: null },
+  { country: 'us', total: 5, coupon: 'B' },
+  { country: 'us', total: 'n/a' }
+];
+
+describe('Aggregates', function() {
+
+  describe('Aggregate', function() {
+
+    it('should count records and values', function() {
+      var aggregate = new Aggregate({ groupBy: ['country'], count: true }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ country: 'fr', count: 3 }, { country: 'us', count: 2 }]);
+
+      aggregate = new Aggregate({ count: ['coupon'] }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ couponCount: 3 }]);
+    });
+
+    it('should count distinct values', function() {
+      var aggregate = new Aggregate({ groupBy: ['country'], distinct: ['coupon'] }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ country: 'fr', couponDistinct: 1 }, { country: 'us', couponDistinct: 1 }]);
+    });
+
+    it('should compute medians, percentiles and standard deviations of numbers', function() {
+      var aggregate = new Aggregate({ groupBy: ['country'], median: ['total'] }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ country: 'fr', totalMedian: 20 }, { country: 'us', totalMedian: 5 }]);
+
+      aggregate = new Aggregate({ percentile: { total: 75 } }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ totalPercentile: 30 }]);
+
+      aggregate = new Aggregate({ groupBy: ['country'], stddev: ['total'] }, ORDERS);
+      assert.equal(aggregate.results[0].totalStddev.toFixed(4), '26.4575');
+      assert.strictEqual(aggregate.results[1].totalStddev, null);
+    });
+
+    it('should give null for groups without numbers', function() {
+      var aggregate = new Aggregate({ median: ['total'], min: ['total'] }, [{ total: 'n/a' }]);
+      assert.deepEqual(aggregate.results, [{ total: null, totalMedian: null }]);
+    });
+
+    it('should combine calculations on the same attribute', function() {
+      var aggregate = new Aggregate({
+        groupBy: ['country'],
+        sum: ['total'],
+        count: ['total'],
+        distinct: ['total'],
+        median: ['total'],
+        percentile: { total: 50 },
+        stddev: ['total']
+      }, ORDERS);
+
+      assert.deepEqual(_.omit(aggregate.results[0], 'totalStddev'), {
+        country: 'fr', total: 90, totalCount: 3, totalDistinct: 3, totalMedian: 20, totalPercentile: 20
+      });
+      assert.equal(aggregate.results[0].totalStddev.toFixed(4), '26.4575');
+      assert.deepEqual(aggregate.results[1], {
+        country: 'us', total: 5, totalCount: 2, totalDistinct: 2, totalMedian: 5, totalPercentile: 5, totalStddev: null
+      });
+    });
+
+    it('should filter groups with having', function() {
+      var aggregate = new Aggregate({ groupBy: ['country'], sum: ['total'], having: { total: { '>': 50 } } }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ country: 'fr', total: 90 }]);
+
+      aggregate = new Aggregate({ groupBy: ['country'], median: ['total'], having: { totalMedian: { '<': 10 } } }, ORDERS);
+      assert.deepEqual(aggregate.results, [{ country: 'us', totalMedian: 5 }]);
+    });
+
+    it('should refuse groupBy or having without a calculation', function() {
+      assert.equal(new Aggregate({ groupBy: ['country'] }, ORDERS).error.message, 'Cannot groupBy without a calculation');
+      assert.equal(new Aggregate({ having: { count: 1 } }, ORDERS).error.message, 'Cannot use having without a calculation');
+    });
+  });
+
+  describe('Database', function() {
+    var database;
+
+    before(function(done) {
+      var order = { id: { type: 'integer', primaryKey: true, autoIncrement: true } };
+      support.create({}, { order: order }, function(err, db) {
+        if (err) return done(err);
+        database = db;
+        database.insert('order', _.cloneDeep(ORDERS), done);
+      });
+    });
+
+    after(function() {
+      database.close();
+    });
+
+    it('should run calculations against the records the criteria match', function(done) {
+      database.select('order', {
+        where: { total: { '>': 5 } },
+        groupBy: ['country'],
+        count: true,
+        median: ['total'],
+        having: { count: { '>=': 2 } }
+      }, function(err, results) {
+        if (err) return done(err);
+        assert.deepEqual(results, [{ country: 'fr', count: 3, totalMedian: 20 }]);
+        done();
+      });
+    });
+
+    it('should send back errors', function(done) {
+      database.select('order', { where: {}, groupBy: ['country'] }, function(err) {
+        assert.equal(err && err.message, 'Cannot groupBy without a calculation');
+        done();
+      });
+    });
+  });
+});
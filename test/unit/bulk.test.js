@@ -0,0 +1,127 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Adapter = require('../../lib/adapter');
+var support = require('./support/database');
+
+describe('Bulk writes', function() {
+  var collections = { user: { identity: 'user', definition: support.user } };
+
+  beforeEach(function(done) {
+    Adapter.registerConnection({ identity: 'bulk' }, _.cloneDeep(collections), function(err) {
+      if (err) return done(err);
+      Adapter.create('bulk', 'user', { name: 'Finn', email: 'finn@example.com' }, done);
+    });
+  });
+
+  afterEach(function(done) {
+    Adapter.teardown('bulk', done);
+  });
+
+  function users(cb) {
+    Adapter.find('bulk', 'user', { where: {}, sort: { id: 1 } }, cb);
+  }
+
+  it('should create several records in one call', function(done) {
+    Adapter.createEach('bulk', 'user', [{ name: 'Jake' }, { name: 'Marceline' }], function(err, created) {
+      if (err) return done(err);
+      assert.deepEqual(created, [{ id: 2, name: 'Jake' }, { id: 3, name: 'Marceline' }]);
+      done();
+    });
+  });
+
+  it('should create none of the records if one is a duplicate within the batch', function(done) {
+    Adapter.createEach('bulk', 'user', [
+      { name: 'Jake', email: 'jake@example.com' },
+      { name: 'Jake again', email: 'jake@example.com' }
+    ], function(err) {
+      assert.equal(err && err.code, 'E_UNIQUE');
+
+      users(function(err, found) {
+        if (err) return done(err);
+        assert.deepEqual(_.pluck(found, 'name'), ['Finn']);
+
+        // Counters are left as they were
+        Adapter.create('bulk', 'user', { name: 'Jake' }, function(err, user) {
+          if (err) return done(err);
+          assert.equal(user.id, 2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should update records with values of their own', function(done) {
+    Adapter.createEach('bulk', 'user', [{ name: 'Jake' }], function(err) {
+      if (err) return done(err);
+
+      Adapter.updateEach('bulk', 'user', [
+        { criteria: { id: 1 }, values: { age: 14 } },
+        { criteria: { where: { name: 'Jake' } }, values: { age: 28 } }
+      ], function(err, updated) {
+        if (err) return done(err);
+        assert.deepEqual(_.map(updated, function(records) { return _.pluck(records, 'age'); }), [[14], [28]]);
+        done();
+      });
+    });
+  });
+
+  it('should apply none of the updates if one fails', function(done) {
+    Adapter.createEach('bulk', 'user', [{ name: 'Jake', email: 'jake@example.com' }], function(err) {
+      if (err) return done(err);
+
+      Adapter.updateEach('bulk', 'user', [
+        { criteria: { id: 1 }, values: { age: 14 } },
+        { criteria: { id: 2 }, values: { email: 'finn@example.com' } }
+      ], function(err) {
+        assert.equal(err && err.code, 'E_UNIQUE');
+
+        users(function(err, found) {
+          if (err) return done(err);
+          assert.deepEqual(found, [
+            { id: 1, name: 'Finn', email: 'finn@example.com' },
+            { id: 2, name: 'Jake', email: 'jake@example.com' }
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should apply mixed inserts and updates in order', function(done) {
+    Adapter.bulkWrite('bulk', 'user', [
+      { method: 'insert', values: { name: 'Jake' } },
+      { method: 'insert', values: [{ name: 'Marceline' }, { name: 'Bubblegum' }] },
+      { method: 'update', criteria: { name: 'Jake' }, values: { age: 28 } },
+      { method: 'insert', values: { name: 'Lemongrab' } }
+    ], function(err, results) {
+      if (err) return done(err);
+      assert.deepEqual(results[0], { id: 2, name: 'Jake' });
+      assert.deepEqual(_.pluck(results[1], 'id'), [3, 4]);
+      assert.deepEqual(results[2], [{ id: 2, name: 'Jake', age: 28 }]);
+      assert.deepEqual(results[3], { id: 5, name: 'Lemongrab' });
+      done();
+    });
+  });
+
+  it('should check constraints against records written earlier in the batch', function(done) {
+    Adapter.bulkWrite('bulk', 'user', [
+      { method: 'insert', values: { name: 'Jake', email: 'jake@example.com' } },
+      { method: 'update', criteria: { name: 'Finn' }, values: { email: 'jake@example.com' } }
+    ], function(err) {
+      assert.equal(err && err.code, 'E_UNIQUE');
+
+      users(function(err, found) {
+        if (err) return done(err);
+        assert.deepEqual(_.pluck(found, 'name'), ['Finn']);
+        done();
+      });
+    });
+  });
+
+  it('should fail on an unregistered collection', function(done) {
+    Adapter.bulkWrite('bulk', 'ghost', [{ method: 'insert', values: {} }], function(err) {
+      assert.equal(err && err.message, 'Unable to find registered collection');
+      done();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+describe('Capped collections', function() {
+  var database;
+
+  function open(collection, cb) {
+    support.create({}, { user: _.extend({ definition: support.user }, collection) }, function(err, db) {
+      database = db;
+      cb(err);
+    });
+  }
+
+  function names(cb) {
+    database.select('user', { where: {}, sort: { id: 1 } }, function(err, users) {
+      if (err) return cb(err);
+      cb(null, _.pluck(users, 'name'));
+    });
+  }
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should evict the oldest records past maxRecords', function(done) {
+    open({ maxRecords: 2 }, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }, { name: 'Marceline' }], function(err) {
+        if (err) return done(err);
+
+        names(function(err, found) {
+          if (err) return done(err);
+          assert.deepEqual(found, ['Jake', 'Marceline']);
+
+          // Ids of evicted records are not reused
+          database.insert('user', { name: 'Bubblegum' }, function(err, user) {
+            if (err) return done(err);
+            assert.equal(user.id, 4);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should evict the least recently read records with lru', function(done) {
+    open({ maxRecords: 2, evict: 'lru' }, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }], function(err) {
+        if (err) return done(err);
+
+        database.select('user', { where: { name: 'Finn' } }, function(err) {
+          if (err) return done(err);
+
+          database.insert('user', { name: 'Marceline' }, function(err) {
+            if (err) return done(err);
+
+            names(function(err, found) {
+              if (err) return done(err);
+              assert.deepEqual(found, ['Finn', 'Marceline']);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should evict records past maxBytes', function(done) {
+    open({ maxBytes: 150 }, function(err) {
+      if (err) return done(err);
+
+      var records = _.times(10, function(i) { return { name: 'User ' + i }; });
+
+      database.insert('user', records, function(err) {
+        if (err) return done(err);
+
+        names(function(err, found) {
+          if (err) return done(err);
+          assert(found.length > 0 && found.length < 10);
+          assert.equal(_.last(found), 'User 9');
+          assert(database.getSize('user') <= 150);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should report evicted records to the change feed', function(done) {
+    open({ maxRecords: 1 }, function(err) {
+      if (err) return done(err);
+
+      database.subscribe('user', function(change) {
+        if (change.type !== 'evict') return;
+        assert.deepEqual(change.before, [{ name: 'Finn', id: 1 }]);
+        done();
+      });
+
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }], function(err) {
+        if (err) return done(err);
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+describe('Change feed', function() {
+  var database;
+  var changes;
+
+  function listener(change) {
+    changes.push(change);
+  }
+
+  beforeEach(function(done) {
+    changes = [];
+    support.create({}, { user: support.user, pet: { id: { type: 'integer', primaryKey: true, autoIncrement: true } } }, function(err, db) {
+      database = db;
+      done(err);
+    });
+  });
+
+  afterEach(function() {
+    database.close();
+  });
+
+  // Listeners are called once the write is over
+  function settle(cb) {
+    setTimeout(cb, 5);
+  }
+
+  it('should report inserts, updates and destroys with before and after images', function(done) {
+    database.subscribe('user', listener);
+
+    database.insert('user', { name: 'Finn' }, function(err) {
+      if (err) return done(err);
+
+      database.update('user', { where: { id: 1 } }, { age: 14 }, function(err) {
+        if (err) return done(err);
+
+        database.destroy('user', { where: { id: 1 } }, function(err) {
+          if (err) return done(err);
+
+          settle(function() {
+            assert.deepEqual(changes, [
+              { type: 'insert', collection: 'user', before: [], after: [{ name: 'Finn', id: 1 }] },
+              { type: 'update', collection: 'user', before: [{ name: 'Finn', id: 1 }], after: [{ name: 'Finn', id: 1, age: 14 }] },
+              { type: 'destroy', collection: 'user', before: [{ name: 'Finn', id: 1, age: 14 }], after: [] }
+            ]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should only report writes to the collection listened to', function(done) {
+    database.subscribe('pet', listener);
+
+    database.insert('user', { name: 'Finn' }, function(err) {
+      if (err) return done(err);
+
+      settle(function() {
+        assert.equal(changes.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('should report writes to every collection without a collection name', function(done) {
+    database.subscribe(null, listener);
+
+    database.insert('user', { name: 'Finn' }, function(err) {
+      if (err) return done(err);
+
+      database.insert('pet', {}, function(err) {
+        if (err) return done(err);
+
+        settle(function() {
+          assert.deepEqual(_.pluck(changes, 'collection'), ['user', 'pet']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should stop reporting once unsubscribed', function(done) {
+    database.subscribe('user', listener);
+    database.unsubscribe('user', listener);
+
+    database.insert('user', { name: 'Finn' }, function(err) {
+      if (err) return done(err);
+
+      settle(function() {
+        assert.equal(changes.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('should not report failed writes', function(done) {
+    database.insert('user', [{ email: 'finn@example.com' }, { email: 'jake@example.com' }], function(err) {
+      if (err) return done(err);
+      database.subscribe('user', listener);
+
+      database.update('user', { where: { id: 2 } }, { email: 'finn@example.com' }, function(err) {
+        assert.equal(err && err.code, 'E_UNIQUE');
+
+        settle(function() {
+          assert.equal(changes.length, 0);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should only report writes made through a transaction once it is committed', function(done) {
+    database.subscribe('user', listener);
+
+    database.beginTransaction(function(err, tx) {
+      if (err) return done(err);
+
+      tx.create('user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+
+        settle(function() {
+          assert.equal(changes.length, 0);
+
+          tx.commit(function(err) {
+            if (err) return done(err);
+
+            settle(function() {
+              assert.deepEqual(_.pluck(changes, 'type'), ['insert']);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should report the records of a dropped collection', function(done) {
+    database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }], function(err) {
+      if (err) return done(err);
+      database.subscribe('user', listener);
+
+      database.dropCollection('user', function(err) {
+        if (err) return done(err);
+
+        settle(function() {
+          assert.deepEqual(changes, [{
+            type: 'drop',
+            collection: 'user',
+            before: [{ name: 'Finn', id: 1 }, { name: 'Jake', id: 2 }],
+            after: []
+          }]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should give listeners their own copy of the records', function(done) {
+    database.subscribe('user', function(change) {
+      change.after[0].name = 'Changed';
+    });
+
+    database.insert('user', { name: 'Finn' }, function(err) {
+      if (err) return done(err);
+
+      settle(function() {
+        database.select('user', { where: {} }, function(err, users) {
+          if (err) return done(err);
+          assert.equal(users[0].name, 'Finn');
+          done();
+        });
+      });
+    });
+  });
+});
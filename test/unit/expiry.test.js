@@ -0,0 +1,162 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+var SESSION = {
+  id: { type: 'integer', autoIncrement: true, primaryKey: true },
+  token: { type: 'string', unique: true },
+  expiresAt: { type: 'datetime' },
+  updatedAt: { type: 'datetime' }
+};
+
+describe('Expiring records', function() {
+  var database;
+  var now;
+
+  function open(collection, config, cb) {
+    now = 1000000;
+    config = _.extend({ clock: function() { return now; } }, config);
+
+    support.create(config, { session: _.extend({ definition: SESSION }, collection) }, function(err, db) {
+      database = db;
+      cb(err);
+    });
+  }
+
+  function tokens(cb) {
+    database.select('session', { where: {} }, function(err, sessions) {
+      if (err) return cb(err);
+      cb(null, _.pluck(sessions, 'token'));
+    });
+  }
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should expire records at the time held by expiresAt', function(done) {
+    open({ expiresAt: 'expiresAt' }, {}, function(err) {
+      if (err) return done(err);
+
+      database.insert('session', [
+        { token: 'a', expiresAt: new Date(now + 10) },
+        { token: 'b', expiresAt: new Date(now + 20) },
+        { token: 'c' }
+      ], function(err) {
+        if (err) return done(err);
+        now += 15;
+
+        tokens(function(err, found) {
+          if (err) return done(err);
+          assert.deepEqual(found, ['b', 'c']);
+
+          // An expired record no longer holds its unique values
+          database.insert('session', { token: 'a' }, done);
+        });
+      });
+    });
+  });
+
+  it('should expire records ttl milliseconds after they were last updated', function(done) {
+    open({ ttl: 100 }, {}, function(err) {
+      if (err) return done(err);
+
+      database.insert('session', [{ token: 'a', updatedAt: new Date(now) }, { token: 'b', updatedAt: new Date(now) }], function(err) {
+        if (err) return done(err);
+        now += 60;
+
+        database.update('session', { where: { token: 'b' } }, { updatedAt: new Date(now) }, function(err) {
+          if (err) return done(err);
+          now += 60;
+
+          tokens(function(err, found) {
+            if (err) return done(err);
+            assert.deepEqual(found, ['b']);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should report expired records to the change feed', function(done) {
+    open({ expiresAt: 'expiresAt' }, {}, function(err) {
+      if (err) return done(err);
+
+      database.subscribe('session', function(change) {
+        if (change.type !== 'expire') return;
+        assert.deepEqual(_.pluck(change.before, 'token'), ['a']);
+        assert.deepEqual(change.after, []);
+        done();
+      });
+
+      database.insert('session', { token: 'a', expiresAt: new Date(now + 10) }, function(err) {
+        if (err) return done(err);
+        now += 10;
+        tokens(function(err) {
+          if (err) return done(err);
+        });
+      });
+    });
+  });
+
+  it('should sweep expired records in the background', function(done) {
+    open({ expiresAt: 'expiresAt' }, { sweepInterval: 5 }, function(err) {
+      if (err) return done(err);
+
+      database.insert('session', { token: 'a', expiresAt: new Date(now + 10) }, function(err) {
+        if (err) return done(err);
+        now += 10;
+
+        setTimeout(function() {
+          assert.equal(database.data.session.length, 0);
+          done();
+        }, 20);
+      });
+    });
+  });
+
+  it('should follow a replaced clock', function(done) {
+    open({ expiresAt: 'expiresAt' }, {}, function(err) {
+      if (err) return done(err);
+
+      database.insert('session', { token: 'a', expiresAt: new Date(Date.now() + 60000) }, function(err) {
+        if (err) return done(err);
+
+        database.setClock(null);
+        tokens(function(err, found) {
+          if (err) return done(err);
+          assert.deepEqual(found, ['a']);
+
+          database.setClock(function() { return new Date(Date.now() + 120000); });
+          tokens(function(err, found) {
+            if (err) return done(err);
+            assert.deepEqual(found, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should expire records in transactions by the clock of their connection', function(done) {
+    open({ expiresAt: 'expiresAt' }, { clock: null }, function(err) {
+      if (err) return done(err);
+
+      database.insert('session', { token: 'a', expiresAt: new Date(Date.now() + 60000) }, function(err) {
+        if (err) return done(err);
+
+        database.setClock(function() { return new Date(Date.now() + 120000); });
+        database.beginTransaction(function(err, tx) {
+          if (err) return done(err);
+
+          tx.find('session', { where: {} }, function(err, sessions) {
+            if (err) return done(err);
+            assert.deepEqual(sessions, []);
+            tx.rollback(done);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Faults = require('../../lib/faults');
+var Adapter = require('../../lib/adapter');
+var support = require('./support/database');
+
+describe('Fault injection', function() {
+
+  describe('Faults', function() {
+
+    it('should inject nothing by default', function() {
+      assert.deepEqual(new Faults().decide('find', 'user'), { delay: 0, error: null });
+    });
+
+    it('should pick latency by method, within a range', function() {
+      var faults = new Faults({ latency: { find: 20, create: [10, 30] }, random: function() { return 0.5; } });
+
+      assert.equal(faults.decide('find', 'user').delay, 20);
+      assert.equal(faults.decide('create', 'user').delay, 20);
+      assert.equal(faults.decide('update', 'user').delay, 0);
+    });
+
+    it('should fail calls following the error rate', function() {
+      var draws = [0.05, 0.5];
+      var faults = new Faults({ errorRate: 0.1, random: function() { return draws.shift(); } });
+
+      var error = faults.decide('update', 'user').error;
+      assert.equal(error.code, 'E_FAULT');
+      assert.equal(error.message, 'Injected fault: call #1 to `update` on `user`');
+      assert.equal(faults.decide('update', 'user').error, null);
+    });
+
+    it('should fail scripted calls', function() {
+      var custom = new Error('Boom');
+      var faults = new Faults({ failures: [
+        { method: 'create', collection: 'user', call: 2 },
+        { method: 'destroy', error: custom }
+      ] });
+
+      assert.equal(faults.decide('create', 'user').error, null);
+      assert.equal(faults.decide('create', 'pet').error, null);
+      assert.equal(faults.decide('create', 'user').error.code, 'E_FAULT');
+      assert.equal(faults.decide('create', 'user').error, null);
+      assert.equal(faults.decide('destroy', 'pet').error, custom);
+      assert.equal(faults.decide('destroy', 'pet').error, custom);
+    });
+
+    it('should start counting calls again once configured', function() {
+      var faults = new Faults({ failures: [{ method: 'find', call: 1 }] });
+
+      assert(faults.decide('find', 'user').error);
+      faults.configure({ failures: [{ method: 'find', call: 1 }] });
+      assert(faults.decide('find', 'user').error);
+    });
+  });
+
+  describe('Adapter', function() {
+    var collections = { user: { identity: 'user', definition: support.user } };
+
+    beforeEach(function(done) {
+      var faults = { failures: [{ method: 'create', collection: 'user', call: 2 }], latency: { find: 30 } };
+      Adapter.registerConnection({ identity: 'faults', faults: faults }, _.cloneDeep(collections), done);
+    });
+
+    afterEach(function(done) {
+      Adapter.teardown('faults', done);
+    });
+
+    it('should fail calls without running them', function(done) {
+      Adapter.create('faults', 'user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+
+        Adapter.create('faults', 'user', { name: 'Jake' }, function(err) {
+          assert.equal(err && err.code, 'E_FAULT');
+
+          Adapter.setFaults('faults', null);
+          Adapter.find('faults', 'user', { where: {} }, function(err, users) {
+            if (err) return done(err);
+            assert.deepEqual(_.pluck(users, 'name'), ['Finn']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should call back once the latency is over', function(done) {
+      var started = Date.now();
+
+      Adapter.find('faults', 'user', { where: {} }, function(err) {
+        if (err) return done(err);
+        assert(Date.now() - started >= 25);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Host the `hosted` connection on the socket path given as argument,
+ * for tests needing another process to run the hosting side
+ */
+
+var Adapter = require('../../../lib/adapter');
+var support = require('../support/database');
+
+Adapter.registerConnection({ identity: 'hosted' }, { user: { identity: 'user', definition: support.user } }, function(err) {
+  if (err) throw err;
+
+  Adapter.serve({ path: process.argv[2] }, function(err) {
+    if (err) throw err;
+    process.stdout.write('ready\n');
+  });
+});
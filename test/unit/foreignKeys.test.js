@@ -0,0 +1,164 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+function pet(onDelete) {
+  return {
+    id: { type: 'integer', autoIncrement: true, primaryKey: true },
+    name: { type: 'string' },
+    owner: { type: 'integer', model: 'user', onDelete: onDelete }
+  };
+}
+
+describe('Referential integrity', function() {
+  var database;
+
+  function open(onDelete, cb) {
+    support.create({ foreignKeys: true }, { user: support.user, pet: pet(onDelete) }, function(err, db) {
+      if (err) return cb(err);
+      database = db;
+
+      database.insert('user', [{ name: 'Finn', email: 'finn@example.com' }, { name: 'Jake' }], function(err) {
+        if (err) return cb(err);
+        database.insert('pet', [{ name: 'Gunter', owner: 1 }, { name: 'Schwabl', owner: 2 }], cb);
+      });
+    });
+  }
+
+  function petsOf(cb) {
+    database.select('pet', { where: {} }, function(err, pets) {
+      if (err) return cb(err);
+      cb(null, _.map(pets, function(pet) { return pet.name + ':' + pet.owner; }));
+    });
+  }
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should refuse foreign keys pointing to missing records', function(done) {
+    open('restrict', function(err) {
+      if (err) return done(err);
+
+      database.insert('pet', { name: 'Ghost', owner: 99 }, function(err) {
+        assert.equal(err.code, 'E_FOREIGN_KEY');
+        assert.deepEqual(err.invalidAttributes.owner, [{
+          value: 99,
+          rule: 'foreignKey',
+          message: '`owner` references a `user` record that does not exist'
+        }]);
+
+        database.update('pet', { where: { id: 1 } }, { owner: 99 }, function(err) {
+          assert.equal(err.code, 'E_FOREIGN_KEY');
+
+          database.insert('pet', { name: 'Stray', owner: null }, done);
+        });
+      });
+    });
+  });
+
+  it('should refuse to destroy referenced records with restrict', function(done) {
+    open('restrict', function(err) {
+      if (err) return done(err);
+
+      database.destroy('user', { where: { id: 1 } }, function(err) {
+        assert.equal(err.code, 'E_FOREIGN_KEY');
+        assert.equal(err.message, 'Cannot destroy `user` records still referenced by `pet.owner`');
+
+        database.select('user', { where: {} }, function(err, users) {
+          if (err) return done(err);
+          assert.equal(users.length, 2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should destroy referencing records with cascade', function(done) {
+    open('cascade', function(err) {
+      if (err) return done(err);
+
+      database.destroy('user', { where: { id: 1 } }, function(err) {
+        if (err) return done(err);
+
+        petsOf(function(err, pets) {
+          if (err) return done(err);
+          assert.deepEqual(pets, ['Schwabl:2']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should clear foreign keys with set null', function(done) {
+    open('set null', function(err) {
+      if (err) return done(err);
+
+      database.destroy('user', { where: { id: 1 } }, function(err) {
+        if (err) return done(err);
+
+        petsOf(function(err, pets) {
+          if (err) return done(err);
+          assert.deepEqual(pets, ['Gunter:null', 'Schwabl:2']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should put cascaded records back when a later operation fails', function(done) {
+    open('cascade', function(err) {
+      if (err) return done(err);
+
+      var outcome = database.applyOperations([
+        { method: 'destroy', collectionName: 'user', criteria: { where: { id: 1 } } },
+        { method: 'insert', collectionName: 'user', values: { email: 'jake@example.com' } },
+        { method: 'insert', collectionName: 'user', values: { email: 'jake@example.com' } }
+      ]);
+      assert.equal(outcome.error.code, 'E_UNIQUE');
+
+      petsOf(function(err, pets) {
+        if (err) return done(err);
+        assert.deepEqual(pets, ['Gunter:1', 'Schwabl:2']);
+
+        database.select('user', { where: {} }, function(err, users) {
+          if (err) return done(err);
+          assert.deepEqual(_.pluck(users, 'name'), ['Finn', 'Jake']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should put cascaded records back when a transaction fails to commit', function(done) {
+    open('cascade', function(err) {
+      if (err) return done(err);
+
+      database.beginTransaction(function(err, tx) {
+        if (err) return done(err);
+
+        tx.destroy('user', { where: { id: 1 } }, function(err) {
+          if (err) return done(err);
+
+          tx.create('user', { email: 'marceline@example.com' }, function(err) {
+            if (err) return done(err);
+
+            database.insert('user', { email: 'marceline@example.com' }, function(err) {
+              if (err) return done(err);
+
+              tx.commit(function(err) {
+                assert.equal(err && err.code, 'E_UNIQUE');
+
+                petsOf(function(err, pets) {
+                  if (err) return done(err);
+                  assert.deepEqual(pets, ['Gunter:1', 'Schwabl:2']);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Indexes = require('../../lib/indexes');
+var support = require('./support/database');
+
+var SCHEMA = {
+  id: { type: 'integer', primaryKey: true },
+  email: { type: 'string', unique: true },
+  team: { type: 'string', index: true },
+  tags: { type: 'array', index: true },
+  born: { type: 'date', index: true },
+  name: { type: 'string' }
+};
+
+describe('Indexes', function() {
+
+  describe('Indexes', function() {
+    var records = [
+      { id: 1, email: 'finn@example.com', team: 'blue', tags: ['hero'] },
+      { id: 2, email: 'jake@example.com', team: 'Blue' },
+      { id: 3, email: 'marceline@example.com', team: null },
+      { id: '4', email: 'bubblegum@example.com', team: 'pink' }
+    ];
+    var indexes;
+
+    beforeEach(function() {
+      indexes = new Indexes(records, SCHEMA);
+    });
+
+    it('should only index the primary key, unique and indexed attributes', function() {
+      assert.deepEqual(Object.keys(indexes.stats()).sort(), ['born', 'email', 'id', 'tags', 'team']);
+      assert.equal(indexes.lookup('name', 'Finn'), null);
+    });
+
+    it('should find loosely equal values', function() {
+      assert.deepEqual(indexes.lookup('team', 'BLUE'), [0, 1]);
+      assert.deepEqual(indexes.lookup('id', '1'), [0]);
+      assert.deepEqual(indexes.lookup('id', 4), [3]);
+    });
+
+    it('should always return records holding values it cannot hash', function() {
+      assert.deepEqual(indexes.lookup('tags', 'hero'), [0]);
+      assert.equal(indexes.lookup('team', { like: 'b%' }), null);
+    });
+
+    it('should plan a query on the most selective indexed attribute', function() {
+      assert.deepEqual(indexes.plan({ team: 'blue', email: 'jake@example.com' }), [1]);
+      assert.deepEqual(indexes.plan({ id: [4, 1] }), [0, 3]);
+    });
+
+    it('should not plan a query without usable conditions', function() {
+      assert.equal(indexes.plan({ name: 'Finn' }), null);
+      assert.equal(indexes.plan({ team: { contains: 'u' } }), null);
+      assert.equal(indexes.plan({ born: new Date() }), null);
+    });
+
+    it('should move a replaced record to its new keys', function() {
+      indexes.replace(0, records[0], _.extend({}, records[0], { team: 'pink' }));
+
+      assert.deepEqual(indexes.lookup('team', 'blue'), [1]);
+      assert.deepEqual(indexes.lookup('team', 'pink'), [3, 0]);
+    });
+  });
+
+  describe('Database', function() {
+    var database;
+
+    beforeEach(function(done) {
+      support.create({}, { user: SCHEMA }, function(err, db) {
+        if (err) return done(err);
+        database = db;
+        database.insert('user', [
+          { id: 1, email: 'finn@example.com', team: 'blue', name: 'Finn' },
+          { id: 2, email: 'jake@example.com', team: 'blue', name: 'Jake' },
+          { id: 3, email: 'marceline@example.com', team: 'red', name: 'Marceline' }
+        ], done);
+      });
+    });
+
+    afterEach(function() {
+      database.close();
+    });
+
+    function names(where, cb) {
+      database.select('user', { where: where }, function(err, users) {
+        if (err) return cb(err);
+        cb(null, _.pluck(users, 'name'));
+      });
+    }
+
+    it('should find the same records as a scan would', function(done) {
+      names({ team: 'BLUE', name: 'Jake' }, function(err, found) {
+        if (err) return done(err);
+        assert.deepEqual(found, ['Jake']);
+
+        names({ id: ['3', 1] }, function(err, found) {
+          if (err) return done(err);
+          assert.deepEqual(found, ['Finn', 'Marceline']);
+          done();
+        });
+      });
+    });
+
+    it('should keep up with updates and destroys', function(done) {
+      database.update('user', { where: { name: 'Finn' } }, { team: 'red' }, function(err) {
+        if (err) return done(err);
+
+        database.destroy('user', { where: { name: 'Marceline' } }, function(err) {
+          if (err) return done(err);
+
+          names({ team: 'red' }, function(err, found) {
+            if (err) return done(err);
+            assert.deepEqual(found, ['Finn']);
+
+            names({ team: 'blue' }, function(err, found) {
+              if (err) return done(err);
+              assert.deepEqual(found, ['Jake']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should check uniqueness against updated values', function(done) {
+      database.update('user', { where: { name: 'Finn' } }, { email: 'finn@example.org' }, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { id: 4, email: 'finn@example.org' }, function(err) {
+          assert.equal(err && err.code, 'E_UNIQUE');
+
+          database.insert('user', { id: 5, email: 'finn@example.com' }, function(err) {
+            if (err) return done(err);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+var assert = require('assert');
+var http = require('http');
+var _ = require('lodash');
+var Adapter = require('../../lib/adapter');
+var support = require('./support/database');
+
+var PORT = 13380;
+
+describe('HTTP inspector', function() {
+
+  before(function(done) {
+    var collections = { user: { identity: 'user', definition: support.user } };
+
+    Adapter.registerConnection({ identity: 'inspected', inspector: { port: PORT } }, collections, function(err) {
+      if (err) return done(err);
+      Adapter.create('inspected', 'user', [{ name: 'Finn', age: 14 }, { name: 'Jake', age: 28 }], done);
+    });
+  });
+
+  after(function(done) {
+    Adapter.teardown('inspected', done);
+  });
+
+  // Send a request, calling back with the status and parsed body
+  function request(method, path, body, headers, cb) {
+    if (typeof body === 'function') {
+      cb = body;
+      body = null;
+    }
+    if (typeof headers === 'function') cb = headers;
+    if (!_.isPlainObject(headers)) headers = { 'Content-Type': 'application/json' };
+
+    var req = http.request({ port: PORT, host: 'localhost', method: method, path: path, headers: headers }, function(res) {
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) { text += chunk; });
+      res.on('end', function() {
+            cb(null, res.statusCode, JSON.parse(text));
+      });
+    });
+    req.on('error', cb);
+    req.end(body === null ? undefined : _.isString(body) ? body : JSON.stringify(body));
+  }
+
+  it('should list connections and collections', function(done) {
+    request('GET', '/', function(err, status, body) {
+      if (err) return done(err);
+      assert.equal(status, 200);
+      assert(_.includes(body.connections, 'inspected'));
+
+      request('GET', '/inspected', function(err, status, body) {
+        if (err) return done(err);
+        assert.deepEqual(body, { collections: { user: { count: 2 } } });
+
+        request('GET', '/inspected/user', function(err, status, body) {
+          if (err) return done(err);
+          assert.equal(body.count, 2);
+          assert.deepEqual(body.counters, { id: 2 });
+          done();
+        });
+      });
+    });
+  });
+
+  it('should filter and page records', function(done) {
+    var query = '?where=' + encodeURIComponent('{"age":{">":10}}') + '&sort=' + encodeURIComponent('{"age":-1}') + '&limit=1';
+
+    request('GET', '/inspected/user/records' + query, function(err, status, body) {
+      if (err) return done(err);
+      assert.equal(status, 200);
+      assert.equal(body.total, 2);
+      assert.deepEqual(_.pluck(body.records, 'name'), ['Jake']);
+
+      request('GET', '/inspected/user/records?where=nope', function(err, status) {
+        if (err) return done(err);
+        assert.equal(status, 400);
+        done();
+      });
+    });
+  });
+
+  it('should create, read, update and destroy records', function(done) {
+    request('POST', '/inspected/user/records', { name: 'Marceline' }, function(err, status, user) {
+      if (err) return done(err);
+      assert.equal(status, 201);
+
+      request('PATCH', '/inspected/user/records/' + user.id, { age: 1000 }, function(err, status, body) {
+        if (err) return done(err);
+        assert.equal(status, 200);
+        assert.equal(body.age, 1000);
+
+        request('DELETE', '/inspected/user/records/' + user.id, function(err, status) {
+          if (err) return done(err);
+          assert.equal(status, 200);
+
+          request('GET', '/inspected/user/records/' + user.id, function(err, status, body) {
+            if (err) return done(err);
+            assert.equal(status, 404);
+            assert.equal(body.error, 'Record not found');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should reply 400 to invalid writes', function(done) {
+    request('POST', '/inspected/user/records', '{"name":', function(err, status, body) {
+      if (err) return done(err);
+      assert.equal(status, 400);
+      assert(/^Could not parse the body as JSON/.test(body.error));
+
+      request('POST', '/inspected/user/records', { id: 1 }, function(err, status, body) {
+        if (err) return done(err);
+        assert.equal(status, 400);
+        assert.equal(body.code, 'E_UNIQUE');
+        done();
+      });
+    });
+  });
+
+  it('should refuse writes without a JSON content type', function(done) {
+    request('POST', '/inspected/user/records', 'name=Ghost', { 'Content-Type': 'text/plain' }, function(err, status, body) {
+      if (err) return done(err);
+      assert.equal(status, 415);
+      assert.equal(body.error, 'Writes need a `Content-Type: application/json` header');
+
+      request('DELETE', '/inspected/user/records/1', null, {}, function(err, status) {
+        if (err) return done(err);
+        assert.equal(status, 415);
+
+        Adapter.find('inspected', 'user', { where: {} }, function(err, users) {
+          if (err) return done(err);
+          assert.deepEqual(_.pluck(users, 'name'), ['Finn', 'Jake']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should reply 400 to paths that cannot be decoded', function(done) {
+    request('GET', '/%E0%A4%A', function(err, status, body) {
+      if (err) return done(err);
+      assert.equal(status, 400);
+      assert(/^Could not decode the path/.test(body.error));
+      done();
+    });
+  });
+
+  it('should reply 404 to unknown connections and collections', function(done) {
+    request('GET', '/nope', function(err, status) {
+      if (err) return done(err);
+      assert.equal(status, 404);
+
+      request('GET', '/inspected/nope', function(err, status) {
+        if (err) return done(err);
+        assert.equal(status, 404);
+        done();
+      });
+    });
+  });
+
+  it('should serve every connection from one inspector', function(done) {
+    Adapter.registerConnection({ identity: 'inspected2', inspector: { port: PORT } }, {}, function(err) {
+      if (err) return done(err);
+
+      request('GET', '/', function(err, status, body) {
+        if (err) return done(err);
+        assert(_.includes(body.connections, 'inspected2'));
+
+        // Still serving the connections left
+        Adapter.teardown('inspected2', function() {
+          request('GET', '/inspected', function(err, status) {
+            if (err) return done(err);
+            assert.equal(status, 200);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+describe('HTTP inspector failing to start', function() {
+  var blocker;
+
+  before(function(done) {
+    blocker = http.createServer().listen(PORT + 1, 'localhost', done);
+  });
+
+  after(function(done) {
+    blocker.close(function() {
+      Adapter.teardown('blocked', done);
+    });
+  });
+
+  it('should let the connection be registered again', function(done) {
+    Adapter.registerConnection({ identity: 'blocked', inspector: { port: PORT + 1 } }, {}, function(err) {
+      assert.equal(err && err.code, 'EADDRINUSE');
+
+      Adapter.registerConnection({ identity: 'blocked', inspector: { port: PORT + 2 } }, {}, done);
+    });
+  });
+});
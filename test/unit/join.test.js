@@ -0,0 +1,112 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+describe('Joins', function() {
+  var database;
+
+  var pet = {
+    id: { type: 'integer', autoIncrement: true, primaryKey: true, unique: true },
+    name: { type: 'string' },
+    owner: { type: 'integer', foreignKey: true, references: 'user', on: 'id' }
+  };
+
+  var toy = {
+    id: { type: 'integer', autoIncrement: true, primaryKey: true, unique: true },
+    name: { type: 'string' }
+  };
+
+  var pet_toys = {
+    id: { type: 'integer', autoIncrement: true, primaryKey: true, unique: true },
+    pet: { type: 'integer' },
+    toy: { type: 'integer' }
+  };
+
+  beforeEach(function(done) {
+    support.create({}, { user: support.user, pet: pet, toy: toy, pet_toys: pet_toys }, function(err, db) {
+      if (err) return done(err);
+      database = db;
+
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }, { name: 'Marceline' }], function(err) {
+        if (err) return done(err);
+
+        database.insert('pet', [
+          { name: 'Mochi', owner: 1 },
+          { name: 'Bean', owner: 1 },
+          { name: 'Tofu', owner: 2 },
+          { name: 'Stray' }
+        ], function(err) {
+          if (err) return done(err);
+
+          database.insert('toy', [{ name: 'Ball' }, { name: 'Rope' }], function(err) {
+            if (err) return done(err);
+            database.insert('pet_toys', [{ pet: 1, toy: 1 }, { pet: 1, toy: 2 }, { pet: 3, toy: 2 }], done);
+          });
+        });
+      });
+    });
+  });
+
+  afterEach(function() {
+    database.close();
+  });
+
+  // The joins Waterline builds to populate `user.pets` (a `via` collection)
+  function pets(criteria) {
+    return {
+      parent: 'user', parentKey: 'id', child: 'pet', childKey: 'owner',
+      alias: 'pets', collection: true, select: false, criteria: criteria
+    };
+  }
+
+  it('should populate the records pointed to by a foreign key', function(done) {
+    var join = { parent: 'pet', parentKey: 'owner', child: 'user', childKey: 'id', alias: 'owner', model: true, select: false };
+
+    database.join('pet', { where: {}, sort: { id: 1 }, joins: [join] }, function(err, found) {
+      if (err) return done(err);
+      assert.deepEqual(found.map(function(pet) { return _.pluck(pet.owner, 'name'); }), [['Finn'], ['Finn'], ['Jake'], []]);
+
+      // Parents sharing a record are each given their own copy
+      assert.notStrictEqual(found[0].owner[0], found[1].owner[0]);
+      done();
+    });
+  });
+
+  it('should populate the records pointing to their parents', function(done) {
+    database.join('user', { where: {}, sort: { id: 1 }, joins: [pets({ sort: { name: 1 } })] }, function(err, found) {
+      if (err) return done(err);
+      assert.deepEqual(found.map(function(user) { return _.pluck(user.pets, 'name'); }), [['Bean', 'Mochi'], ['Tofu'], []]);
+      done();
+    });
+  });
+
+  it('should page the associated records of each parent', function(done) {
+    var criteria = { where: { name: { '!': 'Nope' } }, sort: { id: 1 }, skip: 1, limit: 1 };
+
+    database.join('user', { where: { id: [1, 2] }, sort: { id: 1 }, joins: [pets(criteria)] }, function(err, found) {
+      if (err) return done(err);
+      assert.deepEqual(found.map(function(user) { return _.pluck(user.pets, 'name'); }), [['Bean'], []]);
+      done();
+    });
+  });
+
+  it('should populate many-to-many associations through a junction table', function(done) {
+    var joins = [
+      { parent: 'pet', parentKey: 'id', child: 'pet_toys', childKey: 'pet', alias: 'toys', collection: true, select: false },
+      { parent: 'pet_toys', parentKey: 'toy', child: 'toy', childKey: 'id', alias: 'toys', collection: true, select: false, criteria: { sort: { name: -1 } } }
+    ];
+
+    database.join('pet', { where: {}, sort: { id: 1 }, joins: joins }, function(err, found) {
+      if (err) return done(err);
+      assert.deepEqual(found.map(function(pet) { return _.pluck(pet.toys, 'name'); }), [['Rope', 'Ball'], [], ['Rope'], []]);
+      done();
+    });
+  });
+
+  it('should fail on an unregistered collection', function(done) {
+    database.join('user', { where: {}, joins: [_.extend(pets(), { child: 'ghost' })] }, function(err) {
+      assert.equal(err && err.message, 'Unable to find registered collection');
+      done();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var support = require('./support/database');
+
+var USER = _.extend({ born: { type: 'datetime' } }, support.user);
+
+describe('Durable mode', function() {
+  var filePath;
+  var database;
+
+  beforeEach(function() {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sails-memory-')), 'memory.db');
+  });
+
+  afterEach(function() {
+    if (database) database.close();
+    database = null;
+
+    var directory = path.dirname(filePath);
+    fs.readdirSync(directory).forEach(function(fileName) {
+      fs.unlinkSync(path.join(directory, fileName));
+    });
+    fs.rmdirSync(directory);
+  });
+
+  // Open the datastore at `filePath`, as a restarted process would
+  function open(config, cb) {
+    if (database) database.close();
+    support.create(_.extend({ filePath: filePath }, config), { user: USER }, function(err, db) {
+      database = db;
+      cb(err);
+    });
+  }
+
+  function findUsers(cb) {
+    database.select('user', { where: {}, sort: { id: 1 } }, cb);
+  }
+
+  it('should keep writes between restarts', function(done) {
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }, { name: 'Marceline' }], function(err) {
+        if (err) return done(err);
+
+        database.update('user', { where: { name: 'Finn' } }, { age: 14 }, function(err) {
+          if (err) return done(err);
+
+          database.destroy('user', { where: { name: 'Jake' } }, function(err) {
+            if (err) return done(err);
+
+            open({}, function(err) {
+              if (err) return done(err);
+
+              findUsers(function(err, users) {
+                if (err) return done(err);
+                assert.deepEqual(users, [{ name: 'Finn', id: 1, age: 14 }, { name: 'Marceline', id: 3 }]);
+
+                // Counters are kept too
+                database.insert('user', { name: 'Bubblegum' }, function(err, user) {
+                  if (err) return done(err);
+                  assert.equal(user.id, 4);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should keep updates changing the primary key', function(done) {
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+
+        database.update('user', { where: { id: 1 } }, { id: 10 }, function(err) {
+          if (err) return done(err);
+
+          open({}, function(err) {
+            if (err) return done(err);
+
+            findUsers(function(err, users) {
+              if (err) return done(err);
+              assert.deepEqual(users, [{ name: 'Finn', id: 10 }]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should give back dates as Dates', function(done) {
+    var born = new Date('2010-04-05T10:00:00.000Z');
+
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', { name: 'Finn', born: born }, function(err) {
+        if (err) return done(err);
+
+        open({ compactAfter: 1 }, function(err) {
+          if (err) return done(err);
+
+          findUsers(function(err, users) {
+            if (err) return done(err);
+            assert(users[0].born instanceof Date);
+            assert.equal(users[0].born.getTime(), born.getTime());
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should compact the log into a snapshot', function(done) {
+    open({ compactAfter: 2 }, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+        assert.notEqual(fs.readFileSync(filePath + '.log', 'utf8'), '');
+
+        database.insert('user', { name: 'Jake' }, function(err) {
+          if (err) return done(err);
+          assert.equal(fs.readFileSync(filePath + '.log', 'utf8'), '');
+          assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).data.user.length, 2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should skip a torn last line of the log', function(done) {
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+        fs.appendFileSync(filePath + '.log', '{"sequence":99,"op":"ins');
+
+        open({}, function(err) {
+          if (err) return done(err);
+
+          findUsers(function(err, users) {
+            if (err) return done(err);
+            assert.equal(users.length, 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should fail to load a corrupted datastore', function(done) {
+    fs.writeFileSync(filePath, 'not json');
+
+    open({}, function(err) {
+      assert(/^Could not load datastore from/.test(err && err.message));
+      done();
+    });
+  });
+
+  it('should only seed a datastore that was not stored yet', function(done) {
+    open({ seed: { user: [{ name: 'Finn' }] } }, function(err) {
+      if (err) return done(err);
+
+      open({ seed: { user: [{ name: 'Finn' }] } }, function(err) {
+        if (err) return done(err);
+
+        findUsers(function(err, users) {
+          if (err) return done(err);
+          assert.equal(users.length, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should fail to destroy records of an unregistered collection, logging nothing', function(done) {
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.destroy('ghost', { where: {} }, function(err) {
+        assert.equal(err && err.message, 'Unable to find registered collection');
+
+        open({}, function(err) {
+          if (err) return done(err);
+          assert.deepEqual(Object.keys(database.data), ['user']);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+var assert = require('assert');
+var _ = require('lodash');
+var keys = require('../../lib/keys');
+var support = require('./support/database');
+
+var UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+var ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+var TICKET = {
+  id: { type: 'string', primaryKey: true },
+  code: { type: 'string' },
+  number: { type: 'integer' }
+};
+
+describe('Key generators', function() {
+
+  describe('keys', function() {
+
+    it('should normalize generators', function() {
+      assert.deepEqual(keys.normalize('increment'), { type: 'sequence', start: 1, step: 1, size: 21 });
+      assert.deepEqual(keys.normalize({ type: 'sequence', start: 0, step: 5 }), { type: 'sequence', start: 0, step: 5, size: 21 });
+      assert.equal(keys.normalize('serial').error.message, 'Unknown key generator `serial`');
+    });
+
+    it('should generate sequences from their last value', function() {
+      var generator = keys.normalize({ type: 'sequence', start: 1000, step: 10 });
+      assert.equal(keys.generate(generator, undefined), 1000);
+      assert.equal(keys.generate(generator, 1000), 1010);
+    });
+
+    it('should generate UUIDs, ULIDs and nanoids', function() {
+      assert(UUID.test(keys.generate(keys.normalize('uuid'))));
+      assert.equal(keys.generate(keys.normalize({ type: 'nanoid', size: 10 })).length, 10);
+
+      var ulids = _.times(100, function() {
+        return keys.generate(keys.normalize('ulid'), 0, 1500000000000);
+      });
+      assert(_.every(ulids, function(ulid) { return ULID.test(ulid); }));
+      assert.deepEqual(ulids.slice().sort(), ulids);
+      assert.equal(_.uniq(ulids).length, 100);
+    });
+
+    it('should tell the format of the keys', function() {
+      assert.equal(keys.formatOf(keys.normalize('increment')), 'integer');
+      assert.equal(keys.formatOf(keys.normalize('uuid')), 'string');
+    });
+  });
+
+  describe('Database', function() {
+    var database;
+
+    function open(config, collection, cb) {
+      support.create(config, { ticket: _.extend({ definition: TICKET }, collection) }, function(err, db) {
+        database = db;
+        cb(err);
+      });
+    }
+
+    afterEach(function() {
+      if (database) database.close();
+    });
+
+    it('should generate keys named on the collection', function(done) {
+      var keyGenerators = { id: 'uuid', code: { type: 'nanoid', size: 8 }, number: { type: 'sequence', start: 1000, step: 10 } };
+
+      open({}, { keyGenerators: keyGenerators }, function(err) {
+        if (err) return done(err);
+
+        database.insert('ticket', [{}, { number: 2000 }, {}], function(err, tickets) {
+          if (err) return done(err);
+          assert(UUID.test(tickets[0].id));
+          assert.equal(tickets[0].code.length, 8);
+
+          // Values given are kept, and sequences continue after them
+          assert.deepEqual(_.pluck(tickets, 'number'), [1000, 2000, 2010]);
+          assert.equal(database.getPkFormat('ticket'), 'string');
+          done();
+        });
+      });
+    });
+
+    it('should generate every primary key with the keyGenerator of the connection', function(done) {
+      open({ keyGenerator: 'ulid' }, {}, function(err) {
+        if (err) return done(err);
+
+        database.insert('ticket', {}, function(err, ticket) {
+          if (err) return done(err);
+          assert(ULID.test(ticket.id));
+          done();
+        });
+      });
+    });
+
+    it('should refuse unknown generators', function(done) {
+      open({}, { keyGenerators: { id: 'serial' } }, function(err) {
+        if (err) return done(err);
+
+        database.createCollection('ticket', TICKET, function(err) {
+          assert.equal(err && err.message, 'Unknown key generator `serial`');
+          done();
+        });
+      });
+    });
+
+    it('should generate keys for attributes added by a migration', function(done) {
+      var keyGenerators = { id: 'uuid', code: 'uuid', number: { type: 'sequence', start: 1000, step: 10 } };
+
+      open({}, { keyGenerators: keyGenerators }, function(err) {
+        if (err) return done(err);
+
+        database.insert('ticket', [{}, {}], function(err) {
+          if (err) return done(err);
+
+          var definition = _.extend({}, TICKET, { serial: { type: 'string' }, seat: { type: 'integer' } });
+          database.collections.ticket.keyGenerators = _.extend({}, keyGenerators, {
+            serial: 'ulid',
+            seat: { type: 'sequence', start: 10, step: 5 }
+          });
+
+          database.createCollection('ticket', definition, function(err) {
+            if (err) return done(err);
+
+            database.select('ticket', { where: {} }, function(err, tickets) {
+              if (err) return done(err);
+              assert(_.every(tickets, function(ticket) { return ULID.test(ticket.serial); }));
+              assert.deepEqual(_.pluck(tickets, 'seat'), [10, 15]);
+
+              database.insert('ticket', {}, function(err, ticket) {
+                if (err) return done(err);
+                assert.equal(ticket.seat, 20);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
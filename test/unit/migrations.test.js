@@ -0,0 +1,121 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+var USER = {
+  id: { type: 'integer', autoIncrement: true, primaryKey: true },
+  name: { type: 'string' },
+  age: { type: 'string' },
+  nickname: { type: 'string' }
+};
+
+describe('Migrations', function() {
+  var database;
+
+  function open(config, collection, cb) {
+    support.create(config, { user: _.extend({ definition: USER }, collection) }, function(err, db) {
+      if (err) return cb(err);
+      database = db;
+      database.insert('user', [{ name: 'Finn', age: '14', nickname: 'Finn the Human' }, { name: 'Jake', age: '28' }], cb);
+    });
+  }
+
+  // Define the collection again, as Waterline does on a restart
+  function redefine(definition, cb) {
+    database.createCollection('user', definition, function(err) {
+      if (err) return cb(err);
+      database.select('user', { where: {} }, cb);
+    });
+  }
+
+  afterEach(function() {
+    database.close();
+  });
+
+  describe('alter', function() {
+    beforeEach(function(done) {
+      open({}, {}, done);
+    });
+
+    it('should set new attributes, delete removed ones and cast changed ones', function(done) {
+      var definition = _.extend(_.omit(USER, 'nickname'), {
+        age: { type: 'integer' },
+        team: { type: 'string', defaultsTo: 'blue' },
+        rank: { type: 'integer', autoIncrement: true },
+        bio: { type: 'string' }
+      });
+
+      redefine(definition, function(err, users) {
+        if (err) return done(err);
+        assert.deepEqual(users, [
+          { name: 'Finn', age: 14, id: 1, team: 'blue', rank: 1, bio: null },
+          { name: 'Jake', age: 28, id: 2, team: 'blue', rank: 2, bio: null }
+        ]);
+
+        // New records continue the sequences
+        database.insert('user', { name: 'Marceline' }, function(err, user) {
+          if (err) return done(err);
+          assert.equal(user.id, 3);
+          assert.equal(user.rank, 3);
+          done();
+        });
+      });
+    });
+
+    it('should leave the records alone if a value cannot be cast', function(done) {
+      database.update('user', { where: { name: 'Jake' } }, { age: 'old' }, function(err) {
+        if (err) return done(err);
+
+        redefine(_.extend({}, USER, { age: { type: 'integer' } }), function(err) {
+          assert.equal(err.message, 'Could not migrate collection `user`: Cannot alter attribute `age` to type `integer`: record #1 holds "old"');
+
+          database.select('user', { where: {} }, function(err, users) {
+            if (err) return done(err);
+            assert.deepEqual(_.pluck(users, 'age'), ['14', 'old']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail if an attribute that became unique holds duplicates', function(done) {
+      database.update('user', { where: {} }, { nickname: 'Hero' }, function(err) {
+        if (err) return done(err);
+
+        redefine(_.extend({}, USER, { nickname: { type: 'string', unique: true } }), function(err) {
+          assert.equal(err.message, 'Could not migrate collection `user`: Cannot make attribute `nickname` unique: "Hero" is stored more than once');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should leave records as they are with the safe strategy', function(done) {
+    open({ migrate: 'safe' }, {}, function(err) {
+      if (err) return done(err);
+
+      redefine(_.omit(USER, 'nickname'), function(err, users) {
+        if (err) return done(err);
+        assert.equal(users[0].nickname, 'Finn the Human');
+        done();
+      });
+    });
+  });
+
+  it('should throw records away with the drop strategy of the collection', function(done) {
+    open({ migrate: 'safe' }, { migrate: 'drop' }, function(err) {
+      if (err) return done(err);
+
+      redefine(USER, function(err, users) {
+        if (err) return done(err);
+        assert.deepEqual(users, []);
+
+        database.insert('user', { name: 'Marceline' }, function(err, user) {
+          if (err) return done(err);
+          assert.equal(user.id, 1);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+var assert = require('assert');
+var _ = require('lodash');
+var operators = require('../../lib/operators');
+var support = require('./support/database');
+
+var USER = _.extend({
+  score: { type: 'integer' },
+  tags: { type: 'array' },
+  token: { type: 'string' },
+  code: { type: 'integer', unique: true }
+}, support.user);
+
+describe('Update operators', function() {
+
+  describe('split', function() {
+
+    it('should set operators apart from plain values', function() {
+      assert.deepEqual(operators.split({ name: 'Finn', $inc: { score: 1 } }), {
+        values: { name: 'Finn' },
+        operators: { $inc: { score: 1 } }
+      });
+      assert.deepEqual(operators.split({ name: 'Finn' }), { values: { name: 'Finn' }, operators: null });
+    });
+
+    it('should refuse unknown operators and attributes changed twice', function() {
+      assert.equal(operators.split({ $rename: { a: 'b' } }).error.message, 'Unknown update operator `$rename`');
+      assert.equal(operators.split({ score: 1, $inc: { score: 1 } }).error.message,
+        'Attribute `score` is changed more than once by the same update');
+      assert.equal(operators.split({ $inc: { score: 1 }, $max: { score: 3 } }).error.message,
+        'Attribute `score` is changed more than once by the same update');
+      assert.equal(operators.split({ $inc: 1 }).error.message, '`$inc` expects an object of attributes');
+    });
+  });
+
+  describe('apply', function() {
+
+    it('should change a record based on the values it holds', function() {
+      var record = { a: 2, b: 3, tags: ['x'], old: 1, low: 5, high: 5 };
+
+      var outcome = operators.apply(record, {
+        $inc: { a: -1, missing: 4 },
+        $mul: { b: 2 },
+        $push: { tags: { $each: ['y', 'x'] } },
+        $unset: { old: true },
+        $min: { low: 3 },
+        $max: { high: 3 }
+      });
+
+      assert.deepEqual(outcome.record, { a: 1, missing: 4, b: 6, tags: ['x', 'y', 'x'], low: 3, high: 5 });
+      assert.deepEqual(outcome.changed.sort(), ['a', 'b', 'high', 'low', 'missing', 'old', 'tags']);
+    });
+
+    it('should add to and pull from sets', function() {
+      var record = { tags: ['x', 'y'] };
+
+      operators.apply(record, { $addToSet: { tags: { $each: ['y', 'z'] } } });
+      assert.deepEqual(record.tags, ['x', 'y', 'z']);
+
+      operators.apply(record, { $pull: { tags: { $each: ['x', 'z'] } } });
+      assert.deepEqual(record.tags, ['y']);
+    });
+
+    it('should report values operators cannot be applied to', function() {
+      var outcome = operators.apply({ name: 'Finn', tags: 'x' }, { $inc: { name: 1 }, $push: { tags: 'y' }, $max: { name: 3 } });
+
+      assert.deepEqual(_.pluck(outcome.errors, 'rule'), ['$inc', '$push', '$max']);
+      assert.equal(outcome.errors[0].message, '`name` holds no number to `$inc`');
+    });
+  });
+
+  describe('Database', function() {
+    var database;
+
+    beforeEach(function(done) {
+      support.create({ schema: true }, { user: USER }, function(err, db) {
+        if (err) return done(err);
+        database = db;
+        database.insert('user', [
+          { name: 'Finn', score: 1, tags: ['hero'], token: 'abc', code: 1 },
+          { name: 'Jake', score: 5, code: 2 }
+        ], done);
+      });
+    });
+
+    afterEach(function() {
+      database.close();
+    });
+
+    function findUsers(cb) {
+      database.select('user', { where: {}, sort: { id: 1 } }, cb);
+    }
+
+    it('should apply operators to each matched record', function(done) {
+      database.update('user', { where: {} }, { $inc: { score: 10 }, $addToSet: { tags: 'dog' }, $unset: { token: true } }, function(err, updated) {
+        if (err) return done(err);
+        assert.deepEqual(_.pluck(updated, 'score'), [11, 15]);
+        assert.deepEqual(_.pluck(updated, 'tags'), [['hero', 'dog'], ['dog']]);
+        assert(!_.has(updated[0], 'token'));
+        done();
+      });
+    });
+
+    it('should not lose increments made by concurrent updates', function(done) {
+      var left = 5;
+
+      _.times(left, function() {
+        database.update('user', { where: { name: 'Finn' } }, { $inc: { score: 1 } }, function(err) {
+          if (err) return done(err);
+          if (--left) return;
+
+          findUsers(function(err, users) {
+            if (err) return done(err);
+            assert.equal(users[0].score, 6);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail with E_UNIQUE if updated records end up sharing a unique value', function(done) {
+      database.update('user', { where: {} }, { $mul: { code: 0 } }, function(err) {
+        assert.equal(err && err.code, 'E_UNIQUE');
+
+        findUsers(function(err, users) {
+          if (err) return done(err);
+          assert.deepEqual(_.pluck(users, 'code'), [1, 2]);
+          done();
+        });
+      });
+    });
+
+    it('should fail with E_VALIDATION, changing nothing, if an operator cannot be applied', function(done) {
+      database.update('user', { where: {} }, { $inc: { score: 1, name: 1 } }, function(err) {
+        assert.equal(err && err.code, 'E_VALIDATION');
+
+        findUsers(function(err, users) {
+          if (err) return done(err);
+          assert.deepEqual(_.pluck(users, 'score'), [1, 5]);
+          done();
+        });
+      });
+    });
+
+    it('should apply operators to the record an upsert creates', function(done) {
+      database.upsert('user', { name: 'Marceline' }, { $inc: { score: 2 }, $push: { tags: 'vampire' } }, function(err, created) {
+        if (err) return done(err);
+        assert.deepEqual(created, [{ id: 3, name: 'Marceline', score: 2, tags: ['vampire'] }]);
+
+        database.upsert('user', { name: 'Marceline' }, { $inc: { score: 2 } }, function(err, updated) {
+          if (err) return done(err);
+          assert.deepEqual(updated, [{ id: 3, name: 'Marceline', score: 4, tags: ['vampire'] }]);
+          done();
+        });
+      });
+    });
+
+    it('should refuse operators in the values of created records', function(done) {
+      var message = 'Update operators (`$inc`, `$push`...) cannot be used to create records';
+
+      database.insert('user', { name: 'Marceline', $inc: { score: 1 } }, function(err) {
+        assert.equal(err && err.message, message);
+
+        database.findOrCreate('user', { name: 'Marceline' }, { name: 'Marceline', $inc: { score: 1 } }, function(err) {
+          assert.equal(err && err.message, message);
+
+          database.bulkWrite('user', [{ method: 'insert', values: [{ name: 'Marceline' }, { $push: { tags: 'x' } }] }], function(err) {
+            assert.equal(err && err.message, message);
+
+            findUsers(function(err, users) {
+              if (err) return done(err);
+              assert.deepEqual(_.pluck(users, 'name'), ['Finn', 'Jake']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should refuse unknown operators', function(done) {
+      database.update('user', { where: {} }, { $rename: { name: 'nickname' } }, function(err) {
+        assert.equal(err && err.message, 'Unknown update operator `$rename`');
+        done();
+      });
+    });
+  });
+});
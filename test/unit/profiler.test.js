@@ -0,0 +1,127 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Profiler = require('../../lib/profiler');
+var Adapter = require('../../lib/adapter');
+var support = require('./support/database');
+
+describe('Query log', function() {
+
+  describe('Profiler', function() {
+
+    it('should keep the last maxEntries entries', function() {
+      var profiler = new Profiler({ maxEntries: 2 });
+
+      ['a', 'b', 'c'].forEach(function(collectionName) {
+        profiler.finish(profiler.start('find', collectionName, {}));
+      });
+
+      assert.deepEqual(_.pluck(profiler.entries, 'collection'), ['b', 'c']);
+      profiler.reset();
+      assert.deepEqual(profiler.entries, []);
+    });
+
+    it('should only count nested queries once', function() {
+      var profiler = new Profiler();
+      var entry = profiler.start('find', 'user', {});
+
+      profiler.track(entry, function() {
+        profiler.count(10, 2);
+        profiler.track(entry, function() {
+          profiler.count(5, 1);
+        });
+      });
+
+      assert.equal(entry.scanned, 15);
+      assert.equal(entry.matched, 3);
+    });
+
+    it('should report slow queries', function() {
+      var slow = [];
+      var profiler = new Profiler({ slowQueryThreshold: 0, onSlowQuery: function(entry) { slow.push(entry); } });
+
+      profiler.finish(profiler.start('find', 'user', { where: {} }));
+      assert.equal(slow.length, 1);
+      assert.equal(slow[0].method, 'find');
+    });
+  });
+
+  describe('Adapter', function() {
+    var USER = _.extend({}, support.user, { team: { type: 'string', index: true } });
+
+    beforeEach(function(done) {
+      Adapter.registerConnection({ identity: 'profiled' }, { user: { identity: 'user', definition: USER } }, function(err) {
+        if (err) return done(err);
+
+        Adapter.create('profiled', 'user', [
+          { name: 'Finn', team: 'blue' },
+          { name: 'Jake', team: 'blue' },
+          { name: 'Marceline', team: 'red' }
+        ], function(err) {
+          if (err) return done(err);
+          Adapter.resetQueryLog('profiled');
+          done();
+        });
+      });
+    });
+
+    afterEach(function(done) {
+      Adapter.teardown('profiled', done);
+    });
+
+    it('should log queries with the records they scanned and matched', function(done) {
+      Adapter.find('profiled', 'user', { where: { team: 'blue' } }, function(err) {
+        if (err) return done(err);
+
+        Adapter.find('profiled', 'user', { where: { name: 'Finn' } }, function(err) {
+          if (err) return done(err);
+
+          var log = Adapter.getQueryLog('profiled');
+          assert.deepEqual(_.map(log, function(entry) {
+            return _.pick(entry, 'method', 'collection', 'criteria', 'scanned', 'matched');
+          }), [
+            { method: 'find', collection: 'user', criteria: { where: { team: 'blue' } }, scanned: 2, matched: 2 },
+            { method: 'find', collection: 'user', criteria: { where: { name: 'Finn' } }, scanned: 3, matched: 1 }
+          ]);
+          assert(_.every(log, function(entry) { return entry.duration >= 0; }));
+          done();
+        });
+      });
+    });
+
+    it('should log errors and sum up stats', function(done) {
+      Adapter.create('profiled', 'user', { email: 'a' }, function(err) {
+        if (err) return done(err);
+
+        Adapter.create('profiled', 'user', { email: 'a' }, function(err) {
+          assert.equal(err && err.code, 'E_UNIQUE');
+          assert.equal(_.last(Adapter.getQueryLog('profiled')).error.code, 'E_UNIQUE');
+
+          var stats = Adapter.getQueryStats('profiled');
+          assert.equal(stats.create.queries, 2);
+          assert.equal(stats.create.errors, 1);
+          assert.equal(stats.create.byCollection.user.queries, 2);
+          done();
+        });
+      });
+    });
+
+    it('should report slow queries', function(done) {
+      Adapter.onSlowQuery('profiled', 0, function(entry) {
+        assert.equal(entry.method, 'destroy');
+        Adapter.onSlowQuery('profiled', 0, null);
+        done();
+      });
+
+      Adapter.destroy('profiled', 'user', { where: { id: 1 } }, function(err) {
+        if (err) return done(err);
+      });
+    });
+
+    it('should not fail on collections that are not registered', function(done) {
+      Adapter.update('profiled', 'ghost', { where: {} }, { name: 'Ghost' }, function() {
+        assert.equal(_.last(Adapter.getQueryLog('profiled')).collection, 'ghost');
+        done();
+      });
+    });
+  });
+});
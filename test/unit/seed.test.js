@@ -0,0 +1,138 @@
+var assert = require('assert');
+var path = require('path');
+var support = require('./support/database');
+
+var FIXTURES = path.join(__dirname, 'fixtures');
+
+var PET = {
+  id: { type: 'integer', autoIncrement: true, primaryKey: true, unique: true },
+  name: { type: 'string' }
+};
+
+describe('Seeding', function() {
+  var database;
+
+  afterEach(function() {
+    if (database) database.close();
+    database = null;
+  });
+
+  function seed(config, collections, cb) {
+    support.create(config, collections || { user: support.user, pet: PET }, function(err, db) {
+      database = db;
+      cb(err);
+    });
+  }
+
+  function names(collectionName, cb) {
+    database.select(collectionName, { where: {} }, function(err, records) {
+      if (err) return cb(err);
+      cb(null, records.map(function(record) { return record.name; }));
+    });
+  }
+
+  it('should insert records given in the config', function(done) {
+    seed({ seed: { user: [{ name: 'Finn' }, { name: 'Jake' }] } }, null, function(err) {
+      if (err) return done(err);
+
+      database.select('user', { where: {} }, function(err, users) {
+        if (err) return done(err);
+        assert.deepEqual(users, [{ name: 'Finn', id: 1 }, { name: 'Jake', id: 2 }]);
+        done();
+      });
+    });
+  });
+
+  it('should insert records from a file given for a collection', function(done) {
+    seed({ seed: { pet: path.join(FIXTURES, 'seed', 'pet.js') } }, null, function(err) {
+      if (err) return done(err);
+
+      names('pet', function(err, pets) {
+        if (err) return done(err);
+        assert.deepEqual(pets, ['Gunter']);
+        done();
+      });
+    });
+  });
+
+  it('should insert records from a file holding every collection', function(done) {
+    seed({ seed: path.join(FIXTURES, 'seeds.json') }, null, function(err) {
+      if (err) return done(err);
+
+      names('pet', function(err, pets) {
+        if (err) return done(err);
+        assert.deepEqual(pets, ['Schwabl']);
+        done();
+      });
+    });
+  });
+
+  it('should insert records from a directory holding a file per collection', function(done) {
+    seed({ seed: path.join(FIXTURES, 'seed') }, null, function(err) {
+      if (err) return done(err);
+
+      names('user', function(err, users) {
+        if (err) return done(err);
+        assert.deepEqual(users, ['Finn', 'Jake']);
+
+        names('pet', function(err, pets) {
+          if (err) return done(err);
+          assert.deepEqual(pets, ['Gunter']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should insert the records set on a collection before the ones from the config', function(done) {
+    var collections = { user: { definition: support.user, data: [{ name: 'Finn' }] }, pet: PET };
+
+    seed({ seed: { user: [{ name: 'Jake' }] } }, collections, function(err) {
+      if (err) return done(err);
+
+      names('user', function(err, users) {
+        if (err) return done(err);
+        assert.deepEqual(users, ['Finn', 'Jake']);
+        done();
+      });
+    });
+  });
+
+  it('should insert no record if one of them fails, naming it', function(done) {
+    var records = [{ name: 'Finn', email: 'finn@example.com' }, { name: 'Fionna', email: 'finn@example.com' }];
+
+    seed({ seed: { pet: [{ name: 'Gunter' }], user: records } }, null, function(err) {
+      assert.equal(err.code, 'E_UNIQUE');
+      assert.equal(err.collection, 'user');
+      assert.equal(err.index, 1);
+      assert.equal(err.message, 'Could not seed collection `user`: record #1 `email` violates the `unique` rule (value: "finn@example.com")');
+
+      names('pet', function(err, pets) {
+        if (err) return done(err);
+        assert.deepEqual(pets, []);
+        done();
+      });
+    });
+  });
+
+  it('should fail for a collection that is not registered', function(done) {
+    seed({ seed: { ghost: [{ name: 'Ghost' }] } }, null, function(err) {
+      assert(/^Cannot seed collection `ghost`/.test(err.message));
+      done();
+    });
+  });
+
+  it('should fail for a missing seed path', function(done) {
+    seed({ seed: path.join(FIXTURES, 'missing') }, null, function(err) {
+      assert(/^Could not find seed path/.test(err.message));
+      done();
+    });
+  });
+
+  it('should fail for seed records that are not an array', function(done) {
+    seed({ seed: { user: { name: 'Finn' } } }, null, function(err) {
+      assert.equal(err.message, 'Seed records for collection `user` must be an array');
+      done();
+    });
+  });
+});
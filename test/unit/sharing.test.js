@@ -0,0 +1,235 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var Adapter = require('../../lib/adapter');
+var Client = require('../../lib/client');
+var wire = require('../../lib/wire');
+var support = require('./support/database');
+
+describe('Sharing a datastore between processes', function() {
+
+  describe('wire', function() {
+
+    it('should carry dates and errors', function(done) {
+      var error = new Error('Boom');
+      error.code = 'E_BOOM';
+
+      var socket = new (require('stream').PassThrough)();
+      socket.setEncoding = function() {};
+      socket.destroy = function() { done(new Error('Should not close the socket')); };
+
+      wire.parse(socket, function(message) {
+        assert(message.born instanceof Date);
+        assert.equal(message.born.getTime(), 1000);
+        assert(message.error instanceof Error);
+        assert.equal(message.error.message, 'Boom');
+        assert.equal(message.error.code, 'E_BOOM');
+        done();
+      });
+
+      var line = wire.serialize({ born: new Date(1000), error: error });
+      socket.emit('data', line.slice(0, 10));
+      socket.emit('data', line.slice(10));
+    });
+
+    it('should close a socket sending anything but messages', function(done) {
+      var socket = new (require('stream').PassThrough)();
+      socket.setEncoding = function() {};
+      socket.destroy = function() { done(); };
+
+      wire.parse(socket, function() {
+        done(new Error('Should not parse a message'));
+      });
+      socket.emit('data', 'not json\n');
+    });
+  });
+
+  describe('Server', function() {
+    var directory;
+    var socketPath;
+    var server;
+    var client;
+
+    beforeEach(function(done) {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-memory-'));
+      socketPath = path.join(directory, 'memory.sock');
+
+      Adapter.registerConnection({ identity: 'shared' }, { user: { identity: 'user', definition: support.user } }, function(err) {
+        if (err) return done(err);
+
+        Adapter.serve({ path: socketPath }, function(err, _server) {
+          if (err) return done(err);
+          server = _server;
+          client = new Client({ path: socketPath });
+          done();
+        });
+      });
+    });
+
+    afterEach(function(done) {
+      client.close();
+      server.close(function() {
+        Adapter.teardown('shared', function() {
+          fs.rmdirSync(directory);
+          done();
+        });
+      });
+    });
+
+    function register(config, collections, cb) {
+      client.registerConnection(_.extend({ remote: { path: socketPath } }, config), collections, cb);
+    }
+
+    it('should run calls in the hosting process', function(done) {
+      register({ identity: 'shared' }, {}, function(err) {
+        if (err) return done(err);
+
+        client.call('create', ['shared', 'user', { name: 'Finn', email: 'finn@example.com' }, function(err, user) {
+          if (err) return done(err);
+          assert.equal(user.id, 1);
+
+          client.call('create', ['shared', 'user', { email: 'finn@example.com' }, function(err) {
+            assert.equal(err.code, 'E_UNIQUE');
+            assert.deepEqual(err.invalidAttributes.email, [{ value: 'finn@example.com', rule: 'unique' }]);
+
+            Adapter.find('shared', 'user', { where: {} }, function(err, users) {
+              if (err) return done(err);
+              assert.deepEqual(_.pluck(users, 'name'), ['Finn']);
+              done();
+            });
+          }]);
+        }]);
+      });
+    });
+
+    it('should add the collections the hosting process does not have', function(done) {
+      var pet = { identity: 'pet', definition: { id: { type: 'integer', primaryKey: true, autoIncrement: true } } };
+
+      register({ identity: 'shared' }, { pet: pet }, function(err) {
+        if (err) return done(err);
+
+        Adapter.create('shared', 'pet', {}, function(err, created) {
+          if (err) return done(err);
+          assert.equal(created.id, 1);
+          done();
+        });
+      });
+    });
+
+    it('should refuse connections the hosting process did not register', function(done) {
+      register({ identity: 'other', seed: { user: [{ name: 'Finn' }] } }, {}, function(err) {
+        assert.equal(err && err.message, 'Unknown connection `other`: it has to be registered by the hosting process');
+        assert.deepEqual(_.keys(Adapter.stats()), ['shared']);
+        done();
+      });
+    });
+
+    it('should ignore the rest of the config of a client', function(done) {
+      var filePath = path.join(directory, 'memory.db');
+
+      register({ identity: 'shared', filePath: filePath, seed: { user: [{ name: 'Finn' }] } }, {}, function(err) {
+        if (err) return done(err);
+
+        Adapter.find('shared', 'user', { where: {} }, function(err, users) {
+          if (err) return done(err);
+          assert.deepEqual(users, []);
+          assert(!fs.existsSync(filePath));
+          done();
+        });
+      });
+    });
+
+    it('should refuse unknown methods', function(done) {
+      register({ identity: 'shared' }, {}, function(err) {
+        if (err) return done(err);
+
+        client.call('teardown', ['shared', function(err) {
+          assert.equal(err && err.message, 'Unknown method `teardown`');
+          done();
+        }]);
+      });
+    });
+
+    it('should drop clients sending anything but messages, and keep serving', function(done) {
+      var socket = net.connect({ path: socketPath });
+
+      socket.on('close', function() {
+        register({ identity: 'shared' }, {}, function(err) {
+          if (err) return done(err);
+
+          client.call('find', ['shared', 'user', { where: {} }, function(err, users) {
+            if (err) return done(err);
+            assert.deepEqual(users, []);
+            done();
+          }]);
+        });
+      });
+      socket.write('not json\n');
+    });
+  });
+
+  describe('Adapter', function() {
+    var directory;
+    var socketPath;
+    var host;
+
+    beforeEach(function(done) {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-memory-'));
+      socketPath = path.join(directory, 'memory.sock');
+
+      host = childProcess.spawn(process.execPath, [path.join(__dirname, 'fixtures', 'host.js'), socketPath]);
+      host.stdout.once('data', function() {
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      Adapter.teardown('hosted', function() {
+        host.once('exit', function() {
+          // Left behind by the killed host
+          if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+          fs.rmdirSync(directory);
+          done();
+        });
+        host.kill();
+      });
+    });
+
+    it('should let a connection failing to reach its host be registered again', function(done) {
+      var remote = { path: path.join(directory, 'nope.sock') };
+
+      Adapter.registerConnection({ identity: 'hosted', remote: remote }, {}, function(err) {
+        assert.equal(err && err.code, 'ENOENT');
+
+        Adapter.registerConnection({ identity: 'hosted', remote: { path: socketPath } }, {}, function(err) {
+          if (err) return done(err);
+
+          Adapter.create('hosted', 'user', { name: 'Finn' }, function(err, user) {
+            if (err) return done(err);
+            assert.deepEqual(user, { id: 1, name: 'Finn' });
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail methods that only work in the hosting process', function(done) {
+      Adapter.registerConnection({ identity: 'hosted', remote: { path: socketPath } }, {}, function(err) {
+        if (err) return done(err);
+
+        assert.throws(function() {
+          Adapter.stats('hosted');
+        }, /^Error: `stats` is not supported on connection `hosted`, hosted by another process$/);
+
+        Adapter.begin('hosted', function(err) {
+          assert.equal(err && err.message, '`begin` is not supported on connection `hosted`, hosted by another process');
+          done();
+        });
+      });
+    });
+  });
+});
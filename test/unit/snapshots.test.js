@@ -0,0 +1,107 @@
+var assert = require('assert');
+var support = require('./support/database');
+
+describe('Snapshots', function() {
+  var database;
+
+  beforeEach(function(done) {
+    support.create({}, { user: support.user }, function(err, db) {
+      if (err) return done(err);
+      database = db;
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }], done);
+    });
+  });
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should put back records and counters as they were', function(done) {
+    database.createSnapshot('fixtures', function(err) {
+      if (err) return done(err);
+
+      database.update('user', { where: { name: 'Finn' } }, { age: 14 }, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { name: 'Marceline' }, function(err) {
+          if (err) return done(err);
+
+          database.restoreSnapshot('fixtures', function(err) {
+            if (err) return done(err);
+
+            database.select('user', { where: {} }, function(err, users) {
+              if (err) return done(err);
+              assert.deepEqual(users, [{ id: 1, name: 'Finn' }, { id: 2, name: 'Jake' }]);
+
+              // Auto-increment continues from where the snapshot left off
+              database.insert('user', { name: 'Bubblegum' }, function(err, user) {
+                if (err) return done(err);
+                assert.equal(user.id, 3);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should be restorable more than once', function(done) {
+    database.createSnapshot('fixtures', function(err) {
+      if (err) return done(err);
+
+      database.destroy('user', { where: {} }, function(err) {
+        if (err) return done(err);
+
+        database.restoreSnapshot('fixtures', function(err) {
+          if (err) return done(err);
+
+          database.destroy('user', { where: { name: 'Jake' } }, function(err) {
+            if (err) return done(err);
+
+            database.restoreSnapshot('fixtures', function(err) {
+              if (err) return done(err);
+
+              database.select('user', { where: {} }, function(err, users) {
+                if (err) return done(err);
+                assert.equal(users.length, 2);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should replace a snapshot taken under the same name', function(done) {
+    database.createSnapshot('fixtures', function(err) {
+      if (err) return done(err);
+
+      database.destroy('user', { where: { name: 'Jake' } }, function(err) {
+        if (err) return done(err);
+
+        database.createSnapshot('fixtures', function(err) {
+          if (err) return done(err);
+
+          database.restoreSnapshot('fixtures', function(err) {
+            if (err) return done(err);
+
+            database.select('user', { where: {} }, function(err, users) {
+              if (err) return done(err);
+              assert.deepEqual(users, [{ id: 1, name: 'Finn' }]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should fail to restore an unknown snapshot', function(done) {
+    database.restoreSnapshot('nope', function(err) {
+      assert.equal(err && err.message, 'No snapshot named `nope`');
+      done();
+    });
+  });
+});
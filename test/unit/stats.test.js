@@ -0,0 +1,117 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+describe('Memory stats', function() {
+  var database;
+
+  function open(config, cb) {
+    support.create(config, { user: support.user }, function(err, db) {
+      database = db;
+      cb(err);
+    });
+  }
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should report records, bytes, counters, indexes and operations', function(done) {
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', [{ name: 'Finn', email: 'finn@example.com' }, { name: 'Jake' }], function(err) {
+        if (err) return done(err);
+
+        database.select('user', { where: {} }, function(err) {
+          if (err) return done(err);
+
+          var stats = database.stats();
+          var user = stats.collections.user;
+
+          assert.equal(user.records, 2);
+          assert(user.bytes > 0);
+          assert.equal(stats.bytes, user.bytes);
+          assert.strictEqual(stats.budget, null);
+          assert.deepEqual(user.counters, { id: 2 });
+          assert.deepEqual(user.indexes.id, { keys: 2, entries: 2 });
+          assert.deepEqual(user.operations, { find: 1, create: 1, update: 0, destroy: 0 });
+          done();
+        });
+      });
+    });
+  });
+
+  it('should report fewer bytes once records are destroyed', function(done) {
+    open({}, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', [{ name: 'Finn' }, { name: 'Jake' }], function(err) {
+        if (err) return done(err);
+        var before = database.stats().bytes;
+
+        database.destroy('user', { where: { name: 'Jake' } }, function(err) {
+          if (err) return done(err);
+          assert(database.stats().bytes < before);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should call onMemoryBudget once when going over the budget', function(done) {
+    var errors = [];
+
+    open({ memoryBudget: 1, onMemoryBudget: function(err) { errors.push(err); } }, function(err) {
+      if (err) return done(err);
+
+      database.insert('user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { name: 'Jake' }, function(err) {
+          if (err) return done(err);
+          assert.equal(errors.length, 1);
+          assert.equal(errors[0].code, 'E_MEMORY_BUDGET');
+          assert.equal(errors[0].budget, 1);
+          assert.equal(database.stats().budget, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should refuse writes over the budget with onMemoryBudget: error', function(done) {
+    open({ memoryBudget: 1, onMemoryBudget: 'error' }, function(err) {
+      if (err) return done(err);
+
+      // The budget is checked before writing, so the first insert goes through
+      database.insert('user', { name: 'Finn' }, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { name: 'Jake' }, function(err) {
+          assert.equal(err && err.code, 'E_MEMORY_BUDGET');
+
+          database.update('user', { where: {} }, { age: 14 }, function(err) {
+            assert.equal(err && err.code, 'E_MEMORY_BUDGET');
+
+            // Destroying frees memory, and lets writes through again
+            database.destroy('user', { where: {} }, function(err) {
+              if (err) return done(err);
+
+              database.insert('user', { name: 'Jake' }, function(err, user) {
+                if (err) return done(err);
+                assert.equal(user.name, 'Jake');
+
+                database.select('user', { where: {} }, function(err, users) {
+                  if (err) return done(err);
+                  assert.deepEqual(_.pluck(users, 'name'), ['Jake']);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
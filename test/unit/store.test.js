@@ -0,0 +1,114 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Store = require('../../lib/store');
+
+describe('Standalone store', function() {
+  var store;
+
+  beforeEach(function() {
+    store = new Store({ schema: true });
+    return store.define('user', { name: 'string', email: { type: 'string', unique: true }, age: 'integer' });
+  });
+
+  afterEach(function() {
+    store.close();
+  });
+
+  it('should define collections with an auto-incremented id', function() {
+    return store.describe('user').then(function(schema) {
+      assert.deepEqual(_.keys(schema), ['id', 'name', 'email', 'age']);
+      assert.equal(schema.id.autoIncrement, true);
+      assert.equal(schema.age.type, 'integer');
+
+      return store.describe('ghost');
+    }).then(function(schema) {
+      assert.strictEqual(schema, null);
+    });
+  });
+
+  it('should keep unique values of records with a primary key of their own', function() {
+    return store.define('product', { sku: { type: 'string', primaryKey: true }, name: { type: 'string', unique: true } }).then(function() {
+      return store.create('product', [{ sku: 'a', name: 'Sword' }, { sku: 'b', name: 'Shield' }]);
+    }).then(function() {
+      return store.update('product', { sku: 'a' }, { name: 'Sword' });
+    }).then(function(products) {
+      assert.deepEqual(products, [{ sku: 'a', name: 'Sword' }]);
+
+      return store.update('product', { sku: 'a' }, { name: 'Shield' }).then(function() {
+        throw new Error('Expected an E_UNIQUE error');
+      }, function(err) {
+        assert.equal(err.code, 'E_UNIQUE');
+      });
+    });
+  });
+
+  it('should create, find, update and destroy records', function() {
+    return store.create('user', [{ name: 'Finn', age: 14 }, { name: 'Jake', age: 28 }]).then(function(users) {
+      assert.deepEqual(_.pluck(users, 'id'), [1, 2]);
+      return store.find('user', { age: { '>': 20 } });
+    }).then(function(users) {
+      assert.deepEqual(_.pluck(users, 'name'), ['Jake']);
+      return store.update('user', { name: 'Finn' }, { age: 15 });
+    }).then(function(users) {
+      assert.deepEqual(users, [{ id: 1, name: 'Finn', age: 15 }]);
+      return store.destroy('user', { where: { name: 'Jake' } });
+    }).then(function(users) {
+      assert.equal(users.length, 1);
+      return store.find('user', { where: {}, sort: { id: 1 } });
+    }).then(function(users) {
+      assert.deepEqual(_.pluck(users, 'name'), ['Finn']);
+    });
+  });
+
+  it('should aggregate records', function() {
+    return store.create('user', [{ name: 'Finn', age: 14 }, { name: 'Fionna', age: 14 }, { name: 'Jake', age: 28 }]).then(function() {
+      return store.aggregate('user', { groupBy: ['age'], count: true });
+    }).then(function(groups) {
+      assert.deepEqual(_.sortBy(groups, 'age'), [{ age: 14, count: 2 }, { age: 28, count: 1 }]);
+    });
+  });
+
+  it('should reject writes breaking constraints with their error code', function() {
+    return store.create('user', { email: 'finn@example.com' }).then(function() {
+      return store.create('user', { email: 'finn@example.com' });
+    }).then(function() {
+      throw new Error('Expected an E_UNIQUE error');
+    }, function(err) {
+      assert.equal(err.code, 'E_UNIQUE');
+      return store.create('user', { age: 'old' });
+    }).then(function() {
+      throw new Error('Expected an E_VALIDATION error');
+    }, function(err) {
+      assert.equal(err.code, 'E_VALIDATION');
+    });
+  });
+
+  it('should reject finding records of a collection that is not defined', function() {
+    return store.find('ghost', {}).then(function() {
+      throw new Error('Expected an error');
+    }, function(err) {
+      assert.equal(err.message, 'Unable to find registered collection');
+    });
+  });
+
+  it('should reject every call if the datastore failed to initialize', function() {
+    var failing = new Store({ seed: { ghost: [{ name: 'Finn' }] } });
+
+    return failing.find('user', {}).then(function() {
+      throw new Error('Expected an error');
+    }, function(err) {
+      failing.close();
+      assert.equal(err.message, 'Cannot seed collection `ghost`: Unable to find registered collection');
+    });
+  });
+
+  it('should not leave its initialization failure unhandled when not called', function(done) {
+    var failing = new Store({ seed: { ghost: [{ name: 'Finn' }] } });
+
+    // An unhandled rejection would end the process
+    setTimeout(function() {
+      failing.close();
+      done();
+    }, 20);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var Database = require('../../../lib/database');
+
+/**
+ * Attributes of a `user` collection, as Waterline defines them
+ */
+
+exports.user = {
+  id: { type: 'integer', autoIncrement: true, primaryKey: true, unique: true },
+  name: { type: 'string' },
+  email: { type: 'string', unique: true },
+  age: { type: 'integer' }
+};
+
+/**
+ * Build and initialize a Database
+ *
+ * Collections are given by name, either as their attributes or as the
+ * whole collection (`{ definition, ...settings }`).
+ *
+ * @param {Object} config
+ * @param {Object} collections
+ * @param {Function} callback - called with the database
+ * @api public
+ */
+
+exports.create = function(config, collections, cb) {
+  var database = new Database(config || {}, _.mapValues(collections, function(collection, collectionName) {
+    if (!collection.definition) collection = { definition: collection };
+    return _.extend({ identity: collectionName }, _.cloneDeep(collection));
+  }));
+
+  database.initialize(function(err) {
+    cb(err, database);
+  });
+};
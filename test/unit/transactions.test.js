@@ -0,0 +1,207 @@
+var assert = require('assert');
+var support = require('./support/database');
+
+describe('Transactions', function() {
+  var database;
+
+  beforeEach(function(done) {
+    support.create({}, { user: support.user }, function(err, db) {
+      database = db;
+      done(err);
+    });
+  });
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should only show its writes to itself until committed', function(done) {
+    database.beginTransaction(function(err, tx) {
+      if (err) return done(err);
+
+      tx.create('user', { name: 'Finn' }, function(err, user) {
+        if (err) return done(err);
+        assert.equal(user.id, 1);
+
+        tx.find('user', { where: {} }, function(err, seen) {
+          if (err) return done(err);
+          assert.equal(seen.length, 1);
+
+          database.select('user', { where: {} }, function(err, users) {
+            if (err) return done(err);
+            assert.equal(users.length, 0);
+
+            database.commitTransaction(tx, function(err) {
+              if (err) return done(err);
+
+              database.select('user', { where: {} }, function(err, users) {
+                if (err) return done(err);
+                assert.deepEqual(users, [{ id: 1, name: 'Finn' }]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should throw its writes away on rollback', function(done) {
+    database.insert('user', { name: 'Finn' }, function(err) {
+      if (err) return done(err);
+
+      database.beginTransaction(function(err, tx) {
+        if (err) return done(err);
+
+        tx.update('user', { where: { name: 'Finn' } }, { age: 14 }, function(err) {
+          if (err) return done(err);
+
+          tx.destroy('user', { where: {} }, function(err) {
+            if (err) return done(err);
+
+            database.rollbackTransaction(tx.id, function(err) {
+              if (err) return done(err);
+
+              database.select('user', { where: {} }, function(err, users) {
+                if (err) return done(err);
+                assert.deepEqual(users, [{ id: 1, name: 'Finn' }]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should apply none of its writes if one of them fails on commit', function(done) {
+    database.beginTransaction(function(err, tx) {
+      if (err) return done(err);
+
+      tx.create('user', { name: 'Finn', email: 'finn@example.com' }, function(err) {
+        if (err) return done(err);
+
+        // Taken by someone else while the transaction is open
+        database.insert('user', { name: 'Fionna', email: 'finn@example.com' }, function(err) {
+          if (err) return done(err);
+
+          database.commitTransaction(tx, function(err) {
+            assert.equal(err && err.code, 'E_UNIQUE');
+
+            database.select('user', { where: {} }, function(err, users) {
+              if (err) return done(err);
+              assert.deepEqual(users.map(function(user) { return user.name; }), ['Fionna']);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should only write to the records it matched on commit', function(done) {
+    database.insert('user', { name: 'Finn', age: 14 }, function(err) {
+      if (err) return done(err);
+
+      database.beginTransaction(function(err, tx) {
+        if (err) return done(err);
+
+        tx.update('user', { where: { age: 14 } }, { age: 15 }, function(err) {
+          if (err) return done(err);
+
+          // Matches the criteria, but was never seen by the transaction
+          database.insert('user', { name: 'Fionna', age: 14 }, function(err) {
+            if (err) return done(err);
+
+            tx.destroy('user', { where: { age: 14 } }, function(err, destroyed) {
+              if (err) return done(err);
+              assert.equal(destroyed.length, 0);
+
+              tx.commit(function(err) {
+                if (err) return done(err);
+
+                database.select('user', { where: {}, sort: { id: 1 } }, function(err, users) {
+                  if (err) return done(err);
+                  assert.deepEqual(users, [{ id: 1, name: 'Finn', age: 15 }, { id: 2, name: 'Fionna', age: 14 }]);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should hand out different keys to concurrent transactions', function(done) {
+    database.beginTransaction(function(err, first) {
+      if (err) return done(err);
+
+      database.beginTransaction(function(err, second) {
+        if (err) return done(err);
+
+        first.create('user', { name: 'Finn' }, function(err, finn) {
+          if (err) return done(err);
+
+          second.create('user', { name: 'Jake' }, function(err, jake) {
+            if (err) return done(err);
+            assert.notEqual(finn.id, jake.id);
+
+            first.commit(function(err) {
+              if (err) return done(err);
+
+              second.commit(function(err) {
+                if (err) return done(err);
+
+                database.select('user', { where: {} }, function(err, users) {
+                  if (err) return done(err);
+                  assert.equal(users.length, 2);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should not hand out keys used by a transaction that was rolled back', function(done) {
+    database.beginTransaction(function(err, tx) {
+      if (err) return done(err);
+
+      tx.create('user', { name: 'Finn' }, function(err, finn) {
+        if (err) return done(err);
+
+        tx.rollback(function(err) {
+          if (err) return done(err);
+
+          database.insert('user', { name: 'Jake' }, function(err, jake) {
+            if (err) return done(err);
+            assert.equal(jake.id, finn.id + 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should refuse to be used once closed', function(done) {
+    database.beginTransaction(function(err, tx) {
+      if (err) return done(err);
+
+      tx.commit(function(err) {
+        if (err) return done(err);
+
+        tx.find('user', { where: {} }, function(err) {
+          assert.equal(err && err.message, 'Transaction is not active');
+
+          database.commitTransaction(tx, function(err) {
+            assert.equal(err && err.message, 'Transaction is not active');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var support = require('./support/database');
+
+var USER = _.extend({ born: { type: 'date' }, tags: { type: 'array' } }, support.user);
+
+describe('Import and export', function() {
+  var directory;
+  var source;
+  var target;
+
+  beforeEach(function(done) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-memory-'));
+
+    support.create({}, { user: USER }, function(err, db) {
+      if (err) return done(err);
+      source = db;
+
+      source.insert('user', [
+        { name: 'Finn', email: 'finn@example.com', age: 14, born: new Date('2000-04-05'), tags: ['hero'] },
+        { name: 'Jake', age: 28 }
+      ], function(err) {
+        if (err) return done(err);
+
+        support.create({}, { user: USER }, function(err, db) {
+          target = db;
+          done(err);
+        });
+      });
+    });
+  });
+
+  afterEach(function() {
+    source.close();
+    target.close();
+    removeDirectory(directory);
+  });
+
+  function removeDirectory(dirPath) {
+    fs.readdirSync(dirPath).forEach(function(fileName) {
+      var filePath = path.join(dirPath, fileName);
+      if (fs.statSync(filePath).isDirectory()) return removeDirectory(filePath);
+      fs.unlinkSync(filePath);
+    });
+    fs.rmdirSync(dirPath);
+  }
+
+  function findUsers(database, cb) {
+    database.select('user', { where: {}, sort: { id: 1 } }, cb);
+  }
+
+  ['json', 'ndjson', 'csv'].forEach(function(format) {
+    it('should read back the records written as ' + format, function(done) {
+      source.exportCollections({ path: directory, format: format }, function(err, counts) {
+        if (err) return done(err);
+        assert.deepEqual(counts, { user: 2 });
+        assert(fs.existsSync(path.join(directory, 'user.' + format)));
+
+        target.importCollections({ path: directory }, function(err, counts) {
+          if (err) return done(err);
+          assert.deepEqual(counts, { user: 2 });
+
+          findUsers(source, function(err, exported) {
+            if (err) return done(err);
+
+            findUsers(target, function(err, imported) {
+              if (err) return done(err);
+              assert.deepEqual(imported, exported);
+              assert(imported[0].born instanceof Date);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should move counters on to the exported ones', function(done) {
+    source.destroy('user', { where: { name: 'Jake' } }, function(err) {
+      if (err) return done(err);
+
+      source.exportCollections({ path: directory }, function(err) {
+        if (err) return done(err);
+
+        target.importCollections({ path: directory }, function(err) {
+          if (err) return done(err);
+
+          target.insert('user', { name: 'Marceline' }, function(err, user) {
+            if (err) return done(err);
+            assert.equal(user.id, 3);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should create missing directories, parents included', function(done) {
+    var nested = path.join(directory, 'dumps', 'today');
+
+    source.exportCollections({ path: nested, format: 'ndjson' }, function(err) {
+      if (err) return done(err);
+      assert.deepEqual(fs.readdirSync(nested).sort(), ['user.ndjson', 'user.schema.json']);
+      done();
+    });
+  });
+
+  it('should define collections the datastore does not have from their schema', function(done) {
+    source.exportCollections({ path: directory }, function(err) {
+      if (err) return done(err);
+
+      support.create({}, {}, function(err, empty) {
+        if (err) return done(err);
+
+        empty.importCollections({ path: directory }, function(err) {
+          if (err) {
+            empty.close();
+            return done(err);
+          }
+
+          findUsers(empty, function(err, users) {
+            empty.close();
+            if (err) return done(err);
+            assert.deepEqual(_.pluck(users, 'name'), ['Finn', 'Jake']);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should import none of the records if one is a duplicate', function(done) {
+    source.exportCollections({ path: directory }, function(err) {
+      if (err) return done(err);
+
+      target.insert('user', { name: 'Fionna', email: 'finn@example.com' }, function(err) {
+        if (err) return done(err);
+
+        target.importCollections({ path: directory }, function(err) {
+          assert.equal(err && err.code, 'E_UNIQUE');
+
+          findUsers(target, function(err, users) {
+            if (err) return done(err);
+            assert.deepEqual(_.pluck(users, 'name'), ['Fionna']);
+
+            // Unless the records held are destroyed first
+            target.importCollections({ path: directory, replace: true }, function(err) {
+              if (err) return done(err);
+
+              findUsers(target, function(err, users) {
+                if (err) return done(err);
+                assert.deepEqual(_.pluck(users, 'name'), ['Finn', 'Jake']);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should cast CSV values from elsewhere to the attribute types', function(done) {
+    fs.writeFileSync(path.join(directory, 'user.csv'), 'name,age,born\nFinn,14,2000-04-05\nJake,,\n');
+
+    target.importCollections({ path: directory }, function(err) {
+      if (err) return done(err);
+
+      findUsers(target, function(err, users) {
+        if (err) return done(err);
+        assert.strictEqual(users[0].age, 14);
+        assert(users[0].born instanceof Date);
+        assert.deepEqual(users[1], { id: 2, name: 'Jake' });
+        done();
+      });
+    });
+  });
+
+  it('should fail on bad options', function(done) {
+    source.exportCollections({}, function(err) {
+      assert.equal(err && err.message, 'Exporting needs a `path`');
+
+      source.exportCollections({ path: directory, format: 'xml' }, function(err) {
+        assert.equal(err && err.message, 'Unknown format `xml`');
+
+        source.exportCollections({ path: directory, collections: ['ghost'] }, function(err) {
+          assert.equal(err && err.message, 'Unable to find registered collection');
+
+          target.importCollections({ path: path.join(directory, 'nope') }, function(err) {
+            assert(/^Could not read import directory/.test(err && err.message));
+
+            target.importCollections({ path: directory, collections: ['user'] }, function(err) {
+              assert.equal(err && err.message, 'No file to import collection `user` from');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
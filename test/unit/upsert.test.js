@@ -0,0 +1,133 @@
+var assert = require('assert');
+var _ = require('lodash');
+var Adapter = require('../../lib/adapter');
+var support = require('./support/database');
+
+describe('Upsert and findOrCreate', function() {
+  var collections = { user: { identity: 'user', definition: support.user } };
+
+  beforeEach(function(done) {
+    Adapter.registerConnection({ identity: 'upsert' }, _.cloneDeep(collections), function(err) {
+      if (err) return done(err);
+      Adapter.create('upsert', 'user', { name: 'Finn', email: 'finn@example.com' }, done);
+    });
+  });
+
+  afterEach(function(done) {
+    Adapter.teardown('upsert', done);
+  });
+
+  function users(cb) {
+    Adapter.find('upsert', 'user', { where: {}, sort: { id: 1 } }, cb);
+  }
+
+  describe('findOrCreate', function() {
+
+    it('should find the first matching record', function(done) {
+      Adapter.findOrCreate('upsert', 'user', { where: { email: 'finn@example.com' } }, { name: 'Fionna' }, function(err, user, created) {
+        if (err) return done(err);
+        assert.equal(created, false);
+        assert.deepEqual(user, { id: 1, name: 'Finn', email: 'finn@example.com' });
+        done();
+      });
+    });
+
+    it('should create the record from the criteria if none match', function(done) {
+      Adapter.findOrCreate('upsert', 'user', { email: 'jake@example.com' }, null, function(err, user, created) {
+        if (err) return done(err);
+        assert.equal(created, true);
+        assert.deepEqual(user, { id: 2, email: 'jake@example.com' });
+        done();
+      });
+    });
+
+    it('should look the record up by its values when called without criteria', function(done) {
+      Adapter.findOrCreate('upsert', 'user', { name: 'Finn', email: 'finn@example.com' }, function(err, user, created) {
+        if (err) return done(err);
+        assert.equal(created, false);
+        assert.equal(user.id, 1);
+        done();
+      });
+    });
+
+    it('should not create duplicates when called concurrently', function(done) {
+      var outcomes = [];
+
+      function called(err, user, created) {
+        if (err) return done(err);
+        outcomes.push(created);
+        if (outcomes.length < 2) return;
+
+        assert.deepEqual(outcomes.sort(), [false, true]);
+        users(function(err, found) {
+          if (err) return done(err);
+          assert.deepEqual(_.pluck(found, 'name'), ['Finn', 'Jake']);
+          done();
+        });
+      }
+
+      Adapter.findOrCreate('upsert', 'user', { email: 'jake@example.com' }, { name: 'Jake', email: 'jake@example.com' }, called);
+      Adapter.findOrCreate('upsert', 'user', { email: 'jake@example.com' }, { name: 'Jake', email: 'jake@example.com' }, called);
+    });
+
+    it('should fail with E_UNIQUE when the values to create are taken', function(done) {
+      Adapter.findOrCreate('upsert', 'user', { name: 'Fionna' }, { name: 'Fionna', email: 'finn@example.com' }, function(err) {
+        assert.equal(err && err.code, 'E_UNIQUE');
+
+        users(function(err, found) {
+          if (err) return done(err);
+          assert.equal(found.length, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('upsert', function() {
+
+    it('should update the matching records', function(done) {
+      Adapter.upsert('upsert', 'user', { email: 'finn@example.com' }, { age: 14 }, function(err, updated, created) {
+        if (err) return done(err);
+        assert.equal(created, false);
+        assert.deepEqual(updated, [{ id: 1, name: 'Finn', email: 'finn@example.com', age: 14 }]);
+        done();
+      });
+    });
+
+    it('should create a record from the criteria and values if none match', function(done) {
+      Adapter.upsert('upsert', 'user', { email: 'jake@example.com' }, { name: 'Jake' }, function(err, records, created) {
+        if (err) return done(err);
+        assert.equal(created, true);
+        assert.deepEqual(records, [{ id: 2, name: 'Jake', email: 'jake@example.com' }]);
+        done();
+      });
+    });
+
+    it('should fail with E_UNIQUE without writing when an update would duplicate a value', function(done) {
+      Adapter.create('upsert', 'user', { name: 'Jake', email: 'jake@example.com' }, function(err) {
+        if (err) return done(err);
+
+        Adapter.upsert('upsert', 'user', { name: 'Jake' }, { email: 'finn@example.com' }, function(err) {
+          assert.equal(err && err.code, 'E_UNIQUE');
+
+          users(function(err, found) {
+            if (err) return done(err);
+            assert.deepEqual(_.pluck(found, 'email'), ['finn@example.com', 'jake@example.com']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail on an unregistered collection', function(done) {
+      Adapter.upsert('upsert', 'ghost', { name: 'Finn' }, { age: 14 }, function(err) {
+        assert.equal(err && err.message, 'Unable to find registered collection');
+
+        Adapter.findOrCreate('upsert', 'ghost', { name: 'Finn' }, null, function(err) {
+          assert.equal(err && err.message, 'Unable to find registered collection');
+          done();
+        });
+      });
+    });
+  });
+});
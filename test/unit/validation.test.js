@@ -0,0 +1,120 @@
+var assert = require('assert');
+var enforceSchema = require('../../lib/validation');
+var support = require('./support/database');
+
+var SCHEMA = {
+  id: { type: 'integer', autoIncrement: true, primaryKey: true },
+  name: { type: 'string', required: true },
+  age: { type: 'integer' },
+  score: { type: 'float' },
+  admin: { type: 'boolean', defaultsTo: false },
+  born: { type: 'date' },
+  tags: { type: 'array' },
+  role: { type: 'string', enum: ['user', 'admin'] }
+};
+
+describe('Strict schema', function() {
+
+  describe('enforceSchema', function() {
+
+    it('should cast values that can be cast without losing information', function() {
+      var values = { name: 42, age: '42', score: '4.2', admin: 'true', born: '2010-04-05', tags: '["a"]' };
+
+      assert.deepEqual(enforceSchema(SCHEMA, values, false), []);
+      assert.deepEqual(values, {
+        name: '42',
+        age: 42,
+        score: 4.2,
+        admin: true,
+        born: new Date('2010-04-05'),
+        tags: ['a']
+      });
+    });
+
+    it('should report values of the wrong type', function() {
+      assert.deepEqual(enforceSchema(SCHEMA, { name: 'Finn', age: '4.2', admin: 'yes' }, false), [
+        { attribute: 'age', value: '4.2', rule: 'integer', message: '`age` should be of type `integer`' },
+        { attribute: 'admin', value: 'yes', rule: 'boolean', message: '`admin` should be of type `boolean`' }
+      ]);
+    });
+
+    it('should report missing required values and values not in the enum', function() {
+      assert.deepEqual(enforceSchema(SCHEMA, { name: '', role: 'root' }, false), [
+        { attribute: 'name', value: '', rule: 'required', message: '`name` is required' },
+        { attribute: 'role', value: 'root', rule: 'in', message: '`role` should be one of ["user","admin"]' }
+      ]);
+    });
+
+    it('should apply defaults to new records only', function() {
+      var created = { name: 'Finn' };
+      enforceSchema(SCHEMA, created, false);
+      assert.strictEqual(created.admin, false);
+
+      var updated = { age: 14 };
+      assert.deepEqual(enforceSchema(SCHEMA, updated, true), []);
+      assert.deepEqual(updated, { age: 14 });
+    });
+  });
+
+  describe('Database', function() {
+    var database;
+
+    function open(config, cb) {
+      support.create(config, { user: SCHEMA }, function(err, db) {
+        database = db;
+        cb(err);
+      });
+    }
+
+    afterEach(function() {
+      database.close();
+    });
+
+    it('should store cast values', function(done) {
+      open({ schema: true }, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { name: 'Finn', age: '14' }, function(err, user) {
+          if (err) return done(err);
+          assert.deepEqual(user, { name: 'Finn', age: 14, admin: false, id: 1 });
+          done();
+        });
+      });
+    });
+
+    it('should fail writes with invalid values with E_VALIDATION', function(done) {
+      open({ schema: true }, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { age: 14 }, function(err) {
+          assert.equal(err.code, 'E_VALIDATION');
+          assert.deepEqual(err.invalidAttributes, {
+            name: [{ value: undefined, rule: 'required', message: '`name` is required' }]
+          });
+
+          database.insert('user', { name: 'Finn' }, function(err) {
+            if (err) return done(err);
+
+            database.update('user', { where: {} }, { age: 'old' }, function(err) {
+              assert.equal(err.code, 'E_VALIDATION');
+              assert.deepEqual(Object.keys(err.invalidAttributes), ['age']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should not check values without schema: true', function(done) {
+      open({}, function(err) {
+        if (err) return done(err);
+
+        database.insert('user', { age: 'old' }, function(err, user) {
+          if (err) return done(err);
+          assert.deepEqual(user, { age: 'old', id: 1 });
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+var assert = require('assert');
+var _ = require('lodash');
+var support = require('./support/database');
+
+var DOCUMENT = {
+  id: { type: 'integer', autoIncrement: true, primaryKey: true },
+  title: { type: 'string' },
+  version: { type: 'integer' }
+};
+
+describe('Optimistic concurrency', function() {
+  var database;
+
+  function open(config, collection, cb) {
+    support.create(config, { document: _.extend({ definition: DOCUMENT }, collection) }, function(err, db) {
+      if (err) return cb(err);
+      database = db;
+      database.insert('document', { title: 'Draft' }, cb);
+    });
+  }
+
+  afterEach(function() {
+    database.close();
+  });
+
+  it('should start versions at 1 and bump them on every update', function(done) {
+    open({}, { versionAttribute: 'version' }, function(err, document) {
+      if (err) return done(err);
+      assert.equal(document.version, 1);
+
+      database.update('document', { where: { id: 1 } }, { title: 'Final' }, function(err, documents) {
+        if (err) return done(err);
+        assert.equal(documents[0].version, 2);
+        done();
+      });
+    });
+  });
+
+  it('should update records at the version given', function(done) {
+    open({ versionAttribute: 'version' }, {}, function(err) {
+      if (err) return done(err);
+
+      database.update('document', { where: { id: 1 } }, { title: 'Final', version: 1 }, function(err, documents) {
+        if (err) return done(err);
+        assert.deepEqual(documents, [{ id: 1, title: 'Final', version: 2 }]);
+        done();
+      });
+    });
+  });
+
+  it('should fail with E_CONFLICT if a record is at another version', function(done) {
+    open({}, { versionAttribute: 'version' }, function(err) {
+      if (err) return done(err);
+
+      database.update('document', { where: { id: 1 } }, { title: 'Mine' }, function(err) {
+        if (err) return done(err);
+
+        database.update('document', { where: { id: 1 } }, { title: 'Theirs', version: 1 }, function(err) {
+          assert.equal(err.code, 'E_CONFLICT');
+          assert.deepEqual(err.invalidAttributes.version, [{
+            value: 1,
+            actual: 2,
+            rule: 'version',
+            message: 'Expected record `1` to be at version 1, but it is at version 2'
+          }]);
+
+          database.select('document', { where: {} }, function(err, documents) {
+            if (err) return done(err);
+            assert.equal(documents[0].title, 'Mine');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should check versions again when a transaction is committed', function(done) {
+    open({}, { versionAttribute: 'version' }, function(err) {
+      if (err) return done(err);
+
+      database.beginTransaction(function(err, tx) {
+        if (err) return done(err);
+
+        tx.update('document', { where: { id: 1 } }, { title: 'Mine', version: 1 }, function(err) {
+          if (err) return done(err);
+
+          database.update('document', { where: { id: 1 } }, { title: 'Theirs' }, function(err) {
+            if (err) return done(err);
+
+            tx.commit(function(err) {
+              assert.equal(err && err.code, 'E_CONFLICT');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});